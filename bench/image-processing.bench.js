@@ -0,0 +1,103 @@
+/**
+ * 🌌 影像處理效能比較
+ * 比較 medianBlur / adaptiveThreshold 快速實作與參考實作，並確認輸出逐位元相同
+ * 執行方式：node bench/image-processing.bench.js
+ */
+
+import {
+    medianBlur,
+    medianBlurReference,
+    adaptiveThreshold,
+    adaptiveThresholdReference
+} from '../lib/image-processing.js';
+
+const WIDTH = 700;
+const HEIGHT = 320;
+const ITERATIONS = 5;
+
+// 產生可重現的測試影像：漸層背景 + 雜訊 + 幾條深色筆畫
+function createTestImage(width, height, seed = 42) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+
+    const data = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const background = 140 + 60 * (x / width) - 30 * (y / height);
+            data[y * width + x] = Math.max(0, Math.min(255, Math.round(background + (random() - 0.5) * 40)));
+        }
+    }
+
+    for (let i = 0; i < 12; i++) {
+        const cx = Math.floor(random() * width);
+        const cy = Math.floor(random() * height);
+        for (let t = 0; t < 80; t++) {
+            const x = cx + Math.round(Math.cos(i + t / 10) * t * 0.6);
+            const y = cy + Math.round(Math.sin(i + t / 15) * t * 0.6);
+            for (let dy = -3; dy <= 3; dy++) {
+                for (let dx = -3; dx <= 3; dx++) {
+                    const px = x + dx;
+                    const py = y + dy;
+                    if (px >= 0 && px < width && py >= 0 && py < height) {
+                        data[py * width + px] = 30;
+                    }
+                }
+            }
+        }
+    }
+
+    return { data, width, height };
+}
+
+function sameOutput(a, b) {
+    if (a.data.length !== b.data.length) return false;
+    for (let i = 0; i < a.data.length; i++) {
+        if (a.data[i] !== b.data[i]) return false;
+    }
+    return true;
+}
+
+function time(fn) {
+    fn(); // 暖身
+    const start = performance.now();
+    for (let i = 0; i < ITERATIONS; i++) fn();
+    return (performance.now() - start) / ITERATIONS;
+}
+
+function run() {
+    const image = createTestImage(WIDTH, HEIGHT);
+    const cases = [
+        ['medianBlur(5)', () => medianBlur(image, 5), () => medianBlurReference(image, 5)],
+        ['adaptiveThreshold(31, 12)', () => adaptiveThreshold(image, 31, 12), () => adaptiveThresholdReference(image, 31, 12)]
+    ];
+
+    // 邊界條件也要一致：極小影像與大於影像的核
+    const tiny = createTestImage(7, 3, 7);
+    const edgeCases = [
+        sameOutput(medianBlur(tiny, 5), medianBlurReference(tiny, 5)),
+        sameOutput(medianBlur(tiny, 9), medianBlurReference(tiny, 9)),
+        sameOutput(adaptiveThreshold(tiny, 31, 12), adaptiveThresholdReference(tiny, 31, 12))
+    ];
+
+    let allIdentical = edgeCases.every(Boolean);
+    console.log(`影像尺寸 ${WIDTH}x${HEIGHT}，每項執行 ${ITERATIONS} 次取平均`);
+
+    for (const [name, fast, reference] of cases) {
+        const identical = sameOutput(fast(), reference());
+        allIdentical = allIdentical && identical;
+
+        const fastMs = time(fast);
+        const referenceMs = time(reference);
+        console.log(`${name.padEnd(28)} 快速 ${fastMs.toFixed(1).padStart(7)} ms  參考 ${referenceMs.toFixed(1).padStart(8)} ms  加速 ${(referenceMs / fastMs).toFixed(1)}x  輸出一致: ${identical ? '是' : '否'}`);
+    }
+
+    if (!allIdentical) {
+        console.error('❌ 快速實作與參考實作輸出不一致');
+        process.exitCode = 1;
+    }
+}
+
+run();
@@ -0,0 +1,75 @@
+/**
+ * 🌌 鏡頭辨識 Worker
+ * 在背景執行緒完成影格繪製、前處理與模型推論，主執行緒只負責疊圖
+ * 以 module worker 啟動：new Worker('lib/camera-worker.js', { type: 'module' })
+ *
+ * 訊息協定：
+ *   主 → Worker  { type: 'init', modelUrl }
+ *   主 → Worker  { type: 'frame', frame: ImageBitmap, width, height, options }  (frame 以 transfer 傳遞)
+ *   Worker → 主  { type: 'ready', backend } / { type: 'result', result } / { type: 'error', message, phase }
+ */
+
+// UMD 版本在 module 環境下會掛到 globalThis.tf
+import 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.17.0/dist/tf.min.js';
+import { loadModelFromUrl } from './model-loader.js';
+import { recognize } from './recognizer.js';
+
+let model = null;
+let frameCanvas = null;
+let frameCtx = null;
+
+// ==================== 初始化 ====================
+async function handleInit({ modelUrl }) {
+    // OffscreenCanvas 上的 WebGL 不一定可用，失敗時退回 CPU
+    const webglOK = await tf.setBackend('webgl').catch(() => false);
+    if (!webglOK) {
+        await tf.setBackend('cpu');
+    }
+    await tf.ready();
+
+    ({ model } = await loadModelFromUrl(modelUrl));
+
+    // 模型暖身
+    const testInput = tf.zeros([1, 28, 28, 1]);
+    const testOutput = model.predict(testInput);
+    await testOutput.data();
+    testInput.dispose();
+    testOutput.dispose();
+
+    self.postMessage({ type: 'ready', backend: tf.getBackend() });
+}
+
+// ==================== 影格處理 ====================
+async function handleFrame({ frame, width, height, options }) {
+    if (!frameCanvas || frameCanvas.width !== width || frameCanvas.height !== height) {
+        frameCanvas = new OffscreenCanvas(width, height);
+        frameCtx = frameCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // 縮放到邏輯畫布尺寸後讀出像素
+    frameCtx.drawImage(frame, 0, 0, width, height);
+    frame.close();
+    const imageData = frameCtx.getImageData(0, 0, width, height);
+
+    const result = await recognize(imageData, { ...options, model, mode: 'camera' });
+    self.postMessage({ type: 'result', result });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'init') {
+            await handleInit(message);
+        } else if (message.type === 'frame') {
+            if (!model) {
+                message.frame.close();
+                throw new Error('模型尚未載入');
+            }
+            await handleFrame(message);
+        }
+    } catch (error) {
+        console.error('Worker 錯誤:', error);
+        self.postMessage({ type: 'error', message: error.message, phase: message.type });
+    }
+};
@@ -0,0 +1,121 @@
+/**
+ * 🌌 資料集匯出 (無 DOM 依賴)
+ * 將收集到的樣本編碼成 MNIST 相容的 IDX 檔案，或 JSON + PNG 精靈圖 (sprite) 組合
+ * IDX 格式參考 http://yann.lecun.com/exdb/mnist/ (大端序 32 位元表頭)
+ */
+
+const IMAGE_SIZE = 28;
+const IDX_UBYTE_IMAGES = 0x00000803;  // unsigned byte, 3 維
+const IDX_UBYTE_LABELS = 0x00000801;  // unsigned byte, 1 維
+
+/**
+ * 依模型的標籤集重新對應樣本的類別索引 (以樣本保存的標籤文字比對)，標籤集中沒有的樣本略過
+ * 舊版樣本沒有 labelText，其 label 即為數字模型的類別索引
+ * @param {Array} samples SampleStore 的樣本
+ * @param {string[]} labels 目標模型的標籤集
+ * @returns {Array} label 已換成 labels 索引的樣本副本
+ */
+export function remapSamples(samples, labels) {
+    const indices = new Map(labels.map((label, i) => [label, i]));
+    return samples.flatMap(sample => {
+        const text = sample.labelText ?? String(sample.label);
+        return indices.has(text) ? [{ ...sample, labelText: text, label: indices.get(text) }] : [];
+    });
+}
+
+// images 檔：magic, 張數, 列數, 行數, 之後逐張逐列的像素
+export function encodeIdxImages(samples) {
+    const pixelsPerImage = IMAGE_SIZE * IMAGE_SIZE;
+    const buffer = new ArrayBuffer(16 + samples.length * pixelsPerImage);
+    const view = new DataView(buffer);
+
+    view.setUint32(0, IDX_UBYTE_IMAGES);
+    view.setUint32(4, samples.length);
+    view.setUint32(8, IMAGE_SIZE);
+    view.setUint32(12, IMAGE_SIZE);
+
+    const bytes = new Uint8Array(buffer);
+    samples.forEach((sample, i) => {
+        bytes.set(sample.pixels, 16 + i * pixelsPerImage);
+    });
+
+    return bytes;
+}
+
+// labels 檔：magic, 筆數, 之後每筆一個位元組
+export function encodeIdxLabels(samples) {
+    const buffer = new ArrayBuffer(8 + samples.length);
+    const view = new DataView(buffer);
+
+    view.setUint32(0, IDX_UBYTE_LABELS);
+    view.setUint32(4, samples.length);
+
+    const bytes = new Uint8Array(buffer);
+    samples.forEach((sample, i) => {
+        bytes[8 + i] = sample.label;
+    });
+
+    return bytes;
+}
+
+// 讀回 IDX 檔 (用於驗證匯出結果或合併既有資料)
+export function decodeIdx(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = view.getUint32(0);
+    const dims = magic & 0xff;
+
+    const shape = [];
+    for (let i = 0; i < dims; i++) {
+        shape.push(view.getUint32(4 + i * 4));
+    }
+
+    const offset = 4 + dims * 4;
+    return { magic, shape, data: bytes.subarray(offset) };
+}
+
+/**
+ * 產生精靈圖：每張樣本為 28x28 的一格，由左到右、由上到下排列
+ * @returns {{image: {data: Uint8ClampedArray, width, height}, manifest: object}}
+ *   image 為 RGBA 緩衝區 (可直接建立 ImageData)，manifest 為對應的 JSON 描述
+ */
+export function createSpriteBundle(samples, columns = 32) {
+    const cols = Math.max(1, Math.min(columns, samples.length));
+    const rows = Math.max(1, Math.ceil(samples.length / cols));
+    const width = cols * IMAGE_SIZE;
+    const height = rows * IMAGE_SIZE;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    samples.forEach((sample, i) => {
+        const originX = (i % cols) * IMAGE_SIZE;
+        const originY = Math.floor(i / cols) * IMAGE_SIZE;
+        for (let y = 0; y < IMAGE_SIZE; y++) {
+            for (let x = 0; x < IMAGE_SIZE; x++) {
+                const value = sample.pixels[y * IMAGE_SIZE + x];
+                const idx = ((originY + y) * width + (originX + x)) * 4;
+                data[idx] = value;
+                data[idx + 1] = value;
+                data[idx + 2] = value;
+                data[idx + 3] = 255;
+            }
+        }
+    });
+
+    const manifest = {
+        format: 'mnist-sprite',
+        tileSize: IMAGE_SIZE,
+        columns: cols,
+        rows,
+        count: samples.length,
+        samples: samples.map((sample, i) => ({
+            index: i,
+            label: sample.label,
+            labelText: sample.labelText,
+            predicted: sample.predicted,
+            confidence: sample.confidence,
+            source: sample.source,
+            createdAt: sample.createdAt
+        }))
+    };
+
+    return { image: { data, width, height }, manifest };
+}
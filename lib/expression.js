@@ -0,0 +1,257 @@
+/**
+ * 🌌 手寫算式解析 (無 DOM 依賴)
+ * 將一行辨識結果 (數字與運算符號) 組成算式，依運算優先順序與括號解析並求值；
+ * 寫了「= 答案」時一併批改。錯誤會指出出問題的符號與其外框
+ *
+ * 文法：
+ *   equation := expr ('=' expr?)?
+ *   expr     := term (('+' | '−') term)*
+ *   term     := unary (('×' | '÷') unary)*
+ *   unary    := '−' unary | primary
+ *   primary  := NUMBER | '(' expr ')'
+ */
+
+import { entryText, PLACEHOLDER } from './recognizer.js';
+
+// 各種寫法統一成顯示用符號
+const SYMBOLS = {
+    '+': '+',
+    '-': '−', '−': '−', '—': '−',
+    '*': '×', 'x': '×', 'X': '×', '×': '×',
+    '/': '÷', '÷': '÷',
+    '=': '=', '(': '(', ')': ')'
+};
+
+const PRECEDENCE_OPERATORS = {
+    expr: ['+', '−'],
+    term: ['×', '÷']
+};
+
+// 多個外框的聯集
+function unionBox(boxes) {
+    const left = Math.min(...boxes.map(b => b.x));
+    const top = Math.min(...boxes.map(b => b.y));
+    const right = Math.max(...boxes.map(b => b.x + b.w));
+    const bottom = Math.max(...boxes.map(b => b.y + b.h));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+// 指向某個符號的解析錯誤
+export class ExpressionError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.entries = token ? token.entries : [];
+        this.box = token ? token.box : null;
+    }
+}
+
+// ==================== 斷詞 ====================
+
+// 連續的數字合併成一個數值，其餘每個符號各自成為一個 token
+export function tokenize(entries) {
+    const tokens = [];
+
+    for (const entry of entries) {
+        const text = entryText(entry);
+        const last = tokens[tokens.length - 1];
+
+        if (/^\d$/.test(text)) {
+            if (last && last.type === 'number') {
+                last.text += text;
+                last.entries.push(entry);
+            } else {
+                tokens.push({ type: 'number', text, entries: [entry] });
+            }
+        } else if (SYMBOLS[text]) {
+            tokens.push({ type: 'symbol', text: SYMBOLS[text], entries: [entry] });
+        } else {
+            tokens.push({ type: 'unknown', text, entries: [entry] });
+        }
+    }
+
+    tokens.forEach(token => {
+        token.box = unionBox(token.entries.map(entry => entry.box));
+    });
+    return tokens;
+}
+
+// ==================== 解析 ====================
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    peek() {
+        return this.tokens[this.position] || null;
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isSymbol(token, symbols) {
+        return token && token.type === 'symbol' && symbols.includes(token.text);
+    }
+
+    // 依優先順序解析左結合的二元運算
+    binary(level, parseOperand) {
+        let node = parseOperand();
+        while (this.isSymbol(this.peek(), PRECEDENCE_OPERATORS[level])) {
+            const operator = this.next();
+            node = { type: 'binary', operator, left: node, right: parseOperand() };
+        }
+        return node;
+    }
+
+    expr() {
+        return this.binary('expr', () => this.term());
+    }
+
+    term() {
+        return this.binary('term', () => this.unary());
+    }
+
+    unary() {
+        const token = this.peek();
+        if (this.isSymbol(token, ['−'])) {
+            this.next();
+            return { type: 'negate', operator: token, operand: this.unary() };
+        }
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.peek();
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            throw new ExpressionError('算式不完整：結尾缺少數字', last);
+        }
+
+        if (token.type === 'number') {
+            this.next();
+            return { type: 'number', value: Number(token.text), token };
+        }
+
+        if (this.isSymbol(token, ['('])) {
+            this.next();
+            const inner = this.expr();
+            if (!this.isSymbol(this.peek(), [')'])) {
+                throw new ExpressionError('括號沒有成對：找不到對應的右括號', token);
+            }
+            this.next();
+            return { type: 'group', inner };
+        }
+
+        if (this.isSymbol(token, [')'])) {
+            throw new ExpressionError('多餘的右括號', token);
+        }
+        throw new ExpressionError(`「${token.text}」前面缺少數字`, token);
+    }
+}
+
+// ==================== 求值與格式化 ====================
+
+function evaluate(node) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'group':
+            return evaluate(node.inner);
+        case 'negate':
+            return -evaluate(node.operand);
+        case 'binary': {
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            switch (node.operator.text) {
+                case '+': return left + right;
+                case '−': return left - right;
+                case '×': return left * right;
+                case '÷':
+                    if (right === 0) throw new ExpressionError('不能除以 0', node.operator);
+                    return left / right;
+            }
+        }
+    }
+    throw new Error(`未知的節點: ${node.type}`);
+}
+
+// 以括號標示運算順序 (最外層不加)，例如 3 + (4 × 2)
+function formatParsed(node, top = true) {
+    switch (node.type) {
+        case 'number':
+            return String(node.value);
+        case 'group':
+            return formatParsed(node.inner, top);
+        case 'negate':
+            return `−${formatParsed(node.operand, false)}`;
+        case 'binary': {
+            const text = `${formatParsed(node.left, false)} ${node.operator.text} ${formatParsed(node.right, false)}`;
+            return top ? text : `(${text})`;
+        }
+    }
+    return '';
+}
+
+// 去除浮點誤差 (例如 0.1 + 0.2)
+export function formatNumber(value) {
+    return String(Number.isInteger(value) ? value : parseFloat(value.toFixed(6)));
+}
+
+/**
+ * 解析並計算一行手寫算式
+ * @param {Array} entries 一行辨識結果 (recognize() 的 lines[i].digits)
+ * @returns {{text, parsed, value, answer, correct, error}}
+ *   text 為原始算式、parsed 以括號標示運算順序；有寫答案時 answer/correct 為批改結果；
+ *   失敗時 error = {message, entries, box} 指向出問題的符號
+ */
+export function solveExpression(entries) {
+    const tokens = tokenize(entries);
+    const text = tokens.map(token => token.text).join(' ');
+    const result = { text, parsed: null, value: null, answer: null, correct: null, error: null };
+
+    if (tokens.length === 0) {
+        result.error = { message: '沒有可計算的內容', entries: [], box: null };
+        return result;
+    }
+
+    try {
+        // 先指出無法辨識的符號，避免誤導成文法錯誤
+        const unknown = tokens.find(token => token.type === 'unknown');
+        if (unknown) {
+            throw new ExpressionError(unknown.text === PLACEHOLDER ? '無法辨識的符號，請點選更正' : `無法使用的符號「${unknown.text}」`, unknown);
+        }
+
+        const parser = new Parser(tokens);
+        const left = parser.expr();
+
+        // 「= 答案」：答案可省略 (只求值)
+        let right = null;
+        if (parser.isSymbol(parser.peek(), ['='])) {
+            parser.next();
+            if (parser.peek()) right = parser.expr();
+        }
+
+        const extra = parser.peek();
+        if (extra) {
+            const message = extra.type === 'number' ? '數字之間缺少運算符號'
+                : extra.text === ')' ? '多餘的右括號'
+                : `多餘的符號「${extra.text}」`;
+            throw new ExpressionError(message, extra);
+        }
+
+        result.parsed = formatParsed(left);
+        result.value = evaluate(left);
+        if (right) {
+            result.answer = evaluate(right);
+            result.correct = Math.abs(result.answer - result.value) < 1e-9;
+        }
+    } catch (error) {
+        if (!(error instanceof ExpressionError)) throw error;
+        result.error = { message: error.message, entries: error.entries, box: error.box };
+    }
+
+    return result;
+}
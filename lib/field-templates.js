@@ -0,0 +1,279 @@
+/**
+ * 🌌 欄位格式範本 (無 DOM 依賴)
+ * 以遮罩定義欄位的碼數與分組 ('#' 數字、'A' 英文字母，其餘為顯示用分隔符號)，
+ * 碼數或分組不固定的欄位以 masks 列出多個遮罩，依碼數與開頭選用；
+ * 辨識結果驗證失敗時，依各位置的 top-k 候選由高機率到低機率尋找可通過驗證的組合
+ */
+
+import { entryText } from './recognizer.js';
+
+// 候選組合的搜尋上限 (避免長欄位爆量)
+const MAX_SEARCH = 5000;
+
+// ==================== 驗證器 ====================
+// 通過時回傳 true，否則回傳說明文字
+
+// Luhn 檢查碼 (信用卡號)
+export function luhn(value) {
+    let sum = 0;
+    for (let i = 0; i < value.length; i++) {
+        let digit = Number(value[value.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0 || 'Luhn 檢查碼不符';
+}
+
+// 身分證字號首碼字母對應的兩位數
+const TW_ID_LETTERS = {
+    A: 10, B: 11, C: 12, D: 13, E: 14, F: 15, G: 16, H: 17, I: 34, J: 18, K: 19, L: 20, M: 21,
+    N: 22, O: 35, P: 23, Q: 24, R: 25, S: 26, T: 27, U: 28, V: 29, W: 32, X: 30, Y: 31, Z: 33
+};
+
+// 中華民國身分證字號 (含新式居留證第二碼 8/9)
+export function taiwanId(value) {
+    const code = TW_ID_LETTERS[value[0]];
+    if (!code) return '首碼必須是英文字母';
+    if (!'1289'.includes(value[1])) return '第二碼必須是 1、2、8 或 9';
+
+    const weights = [8, 7, 6, 5, 4, 3, 2, 1, 1];
+    let sum = Math.floor(code / 10) + (code % 10) * 9;
+    for (let i = 0; i < 9; i++) {
+        sum += Number(value[i + 1]) * weights[i];
+    }
+    return sum % 10 === 0 || '身分證檢查碼不符';
+}
+
+// 西元日期 YYYYMMDD，且須在指定年份範圍內
+export function dateValidator({ minYear = 1900, maxYear = 2100, rocYear = false } = {}) {
+    return value => {
+        const yearDigits = rocYear ? 3 : 4;
+        const year = Number(value.slice(0, yearDigits)) + (rocYear ? 1911 : 0);
+        const month = Number(value.slice(yearDigits, yearDigits + 2));
+        const day = Number(value.slice(yearDigits + 2, yearDigits + 4));
+
+        if (month < 1 || month > 12) return '月份不正確';
+        const daysInMonth = new Date(year, month, 0).getDate();
+        if (day < 1 || day > daysInMonth) return '日期不存在';
+        if (year < minYear || year > maxYear) return `年份需在 ${minYear}-${maxYear} 之間`;
+        return true;
+    };
+}
+
+// 以正規表示式驗證 (例如電話號碼的開頭)
+export function patternValidator(regex, message) {
+    return value => regex.test(value) || message;
+}
+
+// 市話 (含區碼) 9 或 10 碼：10 碼只有 02 (台北) 與 04 (台中、南投)
+export function taiwanLandline(value) {
+    if (!/^0[2-8]/.test(value)) return '市話區碼需以 02-08 開頭';
+    if (value.length === 10 && !/^0[24]/.test(value)) return '只有 02、04 開頭的市話為 10 碼';
+    if (value.length === 9 && value.startsWith('02')) return '02 開頭的市話為 10 碼';
+    return true;
+}
+
+// ==================== 範本 ====================
+
+export const FIELD_TEMPLATES = {
+    'credit-card': {
+        name: '信用卡號',
+        mask: '#### #### #### ####',
+        validate: luhn
+    },
+    'tw-id': {
+        name: '身分證字號',
+        mask: 'A#########',
+        validate: taiwanId
+    },
+    'date': {
+        name: '日期 (西元)',
+        mask: '####-##-##',
+        validate: dateValidator()
+    },
+    'roc-date': {
+        name: '日期 (民國)',
+        mask: '###/##/##',
+        validate: dateValidator({ rocYear: true })
+    },
+    'tw-mobile': {
+        name: '手機號碼',
+        mask: '####-###-###',
+        validate: patternValidator(/^09/, '手機號碼需以 09 開頭')
+    },
+    'tw-landline': {
+        name: '市話號碼',
+        // 依序比對，取第一個碼數相同且開頭符合的遮罩
+        masks: [
+            { mask: '(###) ###-####', prefix: /^049/ },
+            { mask: '(##) ####-####' },
+            { mask: '(####) #####', prefix: /^08[23]6/ },
+            { mask: '(###) ###-###', prefix: /^0(37|82|89)/ },
+            { mask: '(##) ###-####' }
+        ],
+        validate: taiwanLandline
+    }
+};
+
+// ==================== 套用範本 ====================
+
+// 遮罩中需要書寫的位置
+function maskSlots(mask) {
+    return [...mask].filter(char => char === '#' || char === 'A');
+}
+
+// 範本的所有遮罩 ({mask, prefix?})；同碼數的遮罩須有相同的位置類型
+function templateMasks(template) {
+    return template.masks || [{ mask: template.mask }];
+}
+
+// 依遮罩插入分隔符號
+export function formatWithMask(mask, chars) {
+    let index = 0;
+    return [...mask].map(char => (char === '#' || char === 'A') ? (chars[index++] ?? '_') : char).join('');
+}
+
+function fitsSlot(slot, text) {
+    return slot === '#' ? /^\d$/.test(text) : /^[A-Z]$/.test(text);
+}
+
+// 模型原本的第一名 (使用者更正過的以更正為準)；不受低信心度佔位符號影響
+function originalText(entry) {
+    return entry.corrected != null ? String(entry.corrected) : (entry.label ?? String(entry.digit));
+}
+
+// 每個位置可用的候選 (使用者更正過的位置固定不變)
+function slotCandidates(entry, slot) {
+    if (entry.corrected != null) {
+        return [{ text: entryText(entry), probability: 1 }];
+    }
+    return entry.topK
+        .map(candidate => ({ text: candidate.label ?? String(candidate.digit), probability: candidate.probability }))
+        .filter(candidate => fitsSlot(slot, candidate.text));
+}
+
+// 以分數排序的最大堆積
+function heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].score >= heap[i].score) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let largest = i;
+            if (left < heap.length && heap[left].score > heap[largest].score) largest = left;
+            if (right < heap.length && heap[right].score > heap[largest].score) largest = right;
+            if (largest === i) break;
+            [heap[largest], heap[i]] = [heap[i], heap[largest]];
+            i = largest;
+        }
+    }
+    return top;
+}
+
+// 依聯合機率由高到低列舉候選組合 (最佳優先搜尋)
+function* combinationsByProbability(candidates) {
+    const score = indices => indices.reduce(
+        (sum, k, i) => sum + Math.log(Math.max(candidates[i][k].probability, 1e-9)), 0
+    );
+    const start = candidates.map(() => 0);
+    const frontier = [{ indices: start, score: score(start) }];
+    const seen = new Set([start.join(',')]);
+
+    while (frontier.length > 0) {
+        const { indices } = heapPop(frontier);
+        yield indices;
+
+        indices.forEach((k, i) => {
+            if (k + 1 >= candidates[i].length) return;
+            const next = indices.slice();
+            next[i] = k + 1;
+            const key = next.join(',');
+            if (!seen.has(key)) {
+                seen.add(key);
+                heapPush(frontier, { indices: next, score: score(next) });
+            }
+        });
+    }
+}
+
+/**
+ * 以範本解讀辨識結果
+ * @param {Array} entries 依閱讀順序排列的辨識項目 (recognize() 各行的 digits)
+ * @param {{name, mask?, masks?, validate}} template mask 與 masks 擇一
+ * @returns {{valid, raw, value, formatted, adjusted, positions, error}}
+ *   raw 為原始辨識字串；value/formatted 為最後採用的值；adjusted 表示採用了候選替代；
+ *   positions[i] = {text, entry, uncertain, changed} 標示每一碼是否需要人工確認
+ */
+export function applyTemplate(entries, template) {
+    const raw = entries.map(entryText).join('');
+    const result = { valid: false, raw, value: null, formatted: null, adjusted: false, positions: [], error: null };
+
+    const allMasks = templateMasks(template);
+    const masks = allMasks.filter(option => maskSlots(option.mask).length === entries.length);
+    if (masks.length === 0) {
+        const lengths = [...new Set(allMasks.map(option => maskSlots(option.mask).length))].sort((a, b) => a - b);
+        result.error = `${template.name}需要 ${lengths.join(' 或 ')} 碼，辨識到 ${entries.length} 碼`;
+        return result;
+    }
+    const slots = maskSlots(masks[0].mask);
+
+    const candidates = entries.map((entry, i) => slotCandidates(entry, slots[i]));
+    const missing = candidates.findIndex(list => list.length === 0);
+    if (missing >= 0) {
+        result.error = `第 ${missing + 1} 碼需要${slots[missing] === '#' ? '數字' : '英文字母'}`;
+        result.positions = entries.map(entry => ({ text: entryText(entry), entry, uncertain: true, changed: false }));
+        return result;
+    }
+
+    // 由最可能的組合開始，找出第一個通過驗證的
+    let best = null;
+    let firstReason = null;
+    let tried = 0;
+    for (const indices of combinationsByProbability(candidates)) {
+        const chars = indices.map((k, i) => candidates[i][k].text);
+        const verdict = template.validate(chars.join(''));
+        if (verdict === true) {
+            best = indices;
+            break;
+        }
+        if (firstReason === null) firstReason = verdict;
+        if (++tried >= MAX_SEARCH) break;
+    }
+
+    const chosen = best || candidates.map(() => 0);
+    const chars = chosen.map((k, i) => candidates[i][k].text);
+    // 與模型原本的第一名比較 (候選經過類型過濾，索引 0 不一定是第一名)
+    const changed = chars.map((text, i) => text !== originalText(entries[i]));
+
+    result.valid = best !== null;
+    result.value = chars.join('');
+    const { mask } = masks.find(option => !option.prefix || option.prefix.test(result.value)) || masks[0];
+    result.formatted = formatWithMask(mask, chars);
+    result.adjusted = changed.some(Boolean);
+    result.error = result.valid ? null : firstReason;
+    result.positions = entries.map((entry, i) => ({
+        text: chars[i],
+        entry,
+        changed: changed[i],
+        uncertain: changed[i] || (entry.uncertain && entry.corrected == null)
+    }));
+
+    return result;
+}
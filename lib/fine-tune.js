@@ -0,0 +1,145 @@
+/**
+ * 🌌 瀏覽器端模型微調 (依賴全域 tf)
+ * 凍結卷積層，只以使用者更正的樣本訓練最後幾層 Dense，
+ * 並保留驗證集搭配 early stopping，避免少量樣本造成過擬合
+ */
+
+import { normalizeFromUint8 } from './image-processing.js';
+import { remapSamples } from './dataset-export.js';
+
+// 微調後權重存放位置 (每台裝置各自保存)
+export const ADAPTED_MODEL_URL = 'indexeddb://mnist-app-adapted';
+
+const DEFAULT_OPTIONS = {
+    trainableDenseLayers: 2,
+    learningRate: 1e-4,
+    epochs: 20,
+    batchSize: 16,
+    validationSplit: 0.2,
+    patience: 3,
+    minSamples: 10
+};
+
+// Fisher-Yates 洗牌 (validationSplit 取的是最後一段，必須先打散)
+function shuffled(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+// 以序列化再載入的方式複製模型 (含權重與中繼資料)
+async function cloneModel(model) {
+    let artifacts;
+    await model.save(tf.io.withSaveHandler(async saved => {
+        artifacts = saved;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return tf.loadLayersModel(tf.io.fromMemory(artifacts));
+}
+
+// 只保留最後 count 個 Dense 層可訓練
+function freezeExceptLastDense(model, count) {
+    const denseLayers = model.layers.filter(layer => layer.getClassName() === 'Dense');
+    const unfrozen = new Set(denseLayers.slice(-count));
+
+    if (unfrozen.size === 0) {
+        throw new Error('模型中沒有可微調的 Dense 層');
+    }
+
+    model.layers.forEach(layer => {
+        layer.trainable = unfrozen.has(layer);
+    });
+}
+
+/**
+ * 以收集到的樣本微調模型的副本；傳入的模型不會被編譯或修改，失敗時副本會被釋放
+ * @param {tf.LayersModel} model 已載入的模型
+ * @param {Array<{pixels: Uint8Array, label: number, labelText?: string, normalization?: string}>} samples 標註樣本
+ * @param {object} [options] 訓練參數，另可傳 onEpochEnd(epoch, logs) 回報進度
+ * @param {string[]} [options.labels] 模型的標籤集 (預設為類別索引字串)，樣本依標籤文字換算類別，不在其中的略過
+ * @returns {Promise<{model: tf.LayersModel, epochs: number, loss: number, valLoss: number, valAccuracy: number, samples: number}>}
+ */
+export async function fineTuneModel(model, samples, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const numClasses = model.outputs[0].shape[1];
+    const labels = config.labels || Array.from({ length: numClasses }, (_, i) => String(i));
+
+    const usable = remapSamples(samples, labels);
+    if (usable.length < config.minSamples) {
+        const skipped = samples.length - usable.length;
+        throw new Error(`樣本數不足：至少需要 ${config.minSamples} 筆，目前 ${usable.length} 筆` +
+            (skipped > 0 ? ` (${skipped} 筆的標籤不在此模型的標籤集中)` : ''));
+    }
+
+    const ordered = shuffled(usable);
+
+    // 每筆樣本依收集時的正規化方式還原成模型輸入
+    const inputs = new Float32Array(ordered.length * 28 * 28);
+    ordered.forEach((sample, i) => {
+        inputs.set(normalizeFromUint8(sample.pixels, sample.normalization), i * 28 * 28);
+    });
+
+    const xs = tf.tensor4d(inputs, [ordered.length, 28, 28, 1]);
+    const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(ordered.map(s => s.label), 'int32'), numClasses));
+    const trained = await cloneModel(model);
+    // 傳入 Optimizer 物件時模型不負責釋放，訓練結束後自行釋放其狀態
+    const optimizer = tf.train.adam(config.learningRate);
+
+    try {
+        freezeExceptLastDense(trained, config.trainableDenseLayers);
+        trained.compile({
+            optimizer,
+            loss: 'categoricalCrossentropy',
+            metrics: ['accuracy']
+        });
+
+        const history = await trained.fit(xs, ys, {
+            epochs: config.epochs,
+            batchSize: config.batchSize,
+            validationSplit: config.validationSplit,
+            shuffle: true,
+            callbacks: [
+                tf.callbacks.earlyStopping({ monitor: 'val_loss', patience: config.patience }),
+                new tf.CustomCallback({ onEpochEnd: async (epoch, logs) => config.onEpochEnd?.(epoch, logs) })
+            ]
+        });
+
+        const last = history.epoch.length - 1;
+        const metric = name => history.history[name]?.[last];
+        return {
+            model: trained,
+            epochs: history.epoch.length,
+            loss: metric('loss'),
+            valLoss: metric('val_loss'),
+            valAccuracy: metric('val_acc') ?? metric('val_accuracy'),
+            samples: ordered.length
+        };
+    } catch (error) {
+        trained.dispose();
+        throw error;
+    } finally {
+        optimizer.dispose();
+        xs.dispose();
+        ys.dispose();
+    }
+}
+
+// 是否已有微調過的模型
+export async function hasAdaptedModel() {
+    const models = await tf.io.listModels().catch(() => ({}));
+    return ADAPTED_MODEL_URL in models;
+}
+
+export async function saveAdaptedModel(model) {
+    return model.save(ADAPTED_MODEL_URL);
+}
+
+// 刪除微調權重，下次載入會回到隨附的原始模型
+export async function removeAdaptedModel() {
+    if (await hasAdaptedModel()) {
+        await tf.io.removeModel(ADAPTED_MODEL_URL);
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * 🌌 繪圖歷史 (無 DOM 依賴)
+ * 有上限的復原/重做堆疊，記錄筆畫、橡皮擦、圖片上傳與清除畫布
+ *
+ * 操作格式：
+ *   { type: 'stroke', stroke }          一筆 (含橡皮擦)
+ *   { type: 'image', image, x, y, w, h } 上傳圖片 (會先清空畫布)
+ *   { type: 'clear' }                   清除畫布
+ */
+
+// 會重設畫布內容的操作
+const RESET_TYPES = new Set(['clear', 'image']);
+
+export class DrawingHistory {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.committed = [];   // 超出上限、已無法復原但仍在畫面上的操作
+        this.undoable = [];
+        this.redoStack = [];
+    }
+
+    push(operation) {
+        this.undoable.push(operation);
+        this.redoStack = [];
+
+        // 超出上限時，最舊的操作移入不可復原區
+        while (this.undoable.length > this.limit) {
+            this.committed.push(this.undoable.shift());
+        }
+        this.compact();
+    }
+
+    undo() {
+        const operation = this.undoable.pop();
+        if (!operation) return null;
+        this.redoStack.push(operation);
+        return operation;
+    }
+
+    redo() {
+        const operation = this.redoStack.pop();
+        if (!operation) return null;
+        this.undoable.push(operation);
+        return operation;
+    }
+
+    reset() {
+        this.committed = [];
+        this.undoable = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoable.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // 目前畫面上可見的操作 (最後一次清除/上傳之後)
+    visibleOperations() {
+        const all = [...this.committed, ...this.undoable];
+        let start = 0;
+        for (let i = all.length - 1; i >= 0; i--) {
+            if (RESET_TYPES.has(all[i].type)) {
+                start = all[i].type === 'clear' ? i + 1 : i;
+                break;
+            }
+        }
+        return all.slice(start);
+    }
+
+    // 目前可見的筆畫 (依繪製順序)
+    visibleStrokes() {
+        return this.visibleOperations()
+            .filter(operation => operation.type === 'stroke')
+            .map(operation => operation.stroke);
+    }
+
+    // 不可復原區中，最後一次重設之前的操作已不會再顯示，直接丟棄
+    compact() {
+        for (let i = this.committed.length - 1; i >= 0; i--) {
+            if (RESET_TYPES.has(this.committed[i].type)) {
+                const keepFrom = this.committed[i].type === 'clear' ? i + 1 : i;
+                this.committed = this.committed.slice(keepFrom);
+                break;
+            }
+        }
+    }
+}
@@ -0,0 +1,770 @@
+/**
+ * 🌌 影像處理管線 (無 DOM 依賴)
+ * 所有函數皆以純 {data, width, height} 緩衝區作為輸入與輸出
+ * 可在瀏覽器主執行緒、Web Worker 與 Node.js 中直接 import 使用
+ */
+
+// ==================== 影像處理函數 (完整移植自 p.py) ====================
+
+// 轉換 ImageData 為灰階陣列
+export function imageDataToGrayArray(imageData) {
+    const width = imageData.width;
+    const height = imageData.height;
+    const data = imageData.data;
+    const grayArray = new Uint8Array(width * height);
+    
+    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
+        grayArray[j] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+    
+    return { data: grayArray, width, height };
+}
+
+// 計算平均亮度
+export function calculateAverageBrightness(grayArray) {
+    let sum = 0;
+    for (let i = 0; i < grayArray.data.length; i++) {
+        sum += grayArray.data[i];
+    }
+    return sum / grayArray.data.length;
+}
+
+// 背景反轉
+export function invertBackground(grayArray) {
+    const inverted = new Uint8Array(grayArray.data.length);
+    for (let i = 0; i < grayArray.data.length; i++) {
+        inverted[i] = 255 - grayArray.data[i];
+    }
+    return { data: inverted, width: grayArray.width, height: grayArray.height };
+}
+
+// 簡化高斯模糊 (3x3 核心)
+export function simpleGaussianBlur(grayArray) {
+    const { data, width, height } = grayArray;
+    const result = new Uint8Array(width * height);
+    
+    const kernel = [1, 2, 1, 2, 4, 2, 1, 2, 1];
+    const kernelSum = 16;
+    
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            let sum = 0;
+            let k = 0;
+            
+            for (let ky = -1; ky <= 1; ky++) {
+                for (let kx = -1; kx <= 1; kx++) {
+                    const idx = (y + ky) * width + (x + kx);
+                    sum += data[idx] * kernel[k];
+                    k++;
+                }
+            }
+            
+            const idx = y * width + x;
+            result[idx] = Math.round(sum / kernelSum);
+        }
+    }
+    
+    // 複製邊緣像素
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (y === 0 || y === height - 1 || x === 0 || x === width - 1) {
+                const idx = y * width + x;
+                result[idx] = data[idx];
+            }
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// Otsu 閾值計算 (完全移植自 OpenCV 算法)
+export function calculateOtsuThreshold(grayArray) {
+    const { data } = grayArray;
+    
+    // 計算直方圖
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i++) {
+        histogram[data[i]]++;
+    }
+    
+    // 計算總像素數和總和
+    const total = data.length;
+    let sum = 0;
+    for (let i = 0; i < 256; i++) {
+        sum += i * histogram[i];
+    }
+    
+    let sumB = 0;
+    let wB = 0;
+    let wF = 0;
+    let maxVariance = 0;
+    let threshold = 0;
+    
+    for (let i = 0; i < 256; i++) {
+        wB += histogram[i];
+        if (wB === 0) continue;
+        
+        wF = total - wB;
+        if (wF === 0) break;
+        
+        sumB += i * histogram[i];
+        
+        const mB = sumB / wB;
+        const mF = (sum - sumB) / wF;
+        
+        // 計算類間方差
+        const variance = wB * wF * Math.pow(mB - mF, 2);
+        
+        if (variance > maxVariance) {
+            maxVariance = variance;
+            threshold = i;
+        }
+    }
+    
+    return threshold;
+}
+
+// 二值化
+export function binarizeImage(grayArray, threshold) {
+    const { data, width, height } = grayArray;
+    const binary = new Uint8Array(width * height);
+    
+    for (let i = 0; i < data.length; i++) {
+        binary[i] = data[i] > threshold ? 255 : 0;
+    }
+    
+    return { data: binary, width, height };
+}
+
+// 連通域分析 (8-鄰居)
+export function findConnectedComponents(binaryImage) {
+    const { data, width, height } = binaryImage;
+    const visited = new Array(width * height).fill(false);
+    const components = [];
+    
+    // 8方向鄰居
+    const directions = [
+        [-1, -1], [0, -1], [1, -1],
+        [-1, 0],           [1, 0],
+        [-1, 1],  [0, 1],  [1, 1]
+    ];
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            
+            if (!visited[idx] && data[idx] === 255) {
+                // BFS 搜尋連通域
+                const queue = [[x, y]];
+                visited[idx] = true;
+                
+                let minX = x, maxX = x, minY = y, maxY = y;
+                let area = 0;
+                const pixels = [];
+                
+                while (queue.length > 0) {
+                    const [cx, cy] = queue.shift();
+                    const cIdx = cy * width + cx;
+                    
+                    area++;
+                    pixels.push([cx, cy]);
+                    
+                    minX = Math.min(minX, cx);
+                    maxX = Math.max(maxX, cx);
+                    minY = Math.min(minY, cy);
+                    maxY = Math.max(maxY, cy);
+                    
+                    // 檢查8鄰居
+                    for (const [dx, dy] of directions) {
+                        const nx = cx + dx;
+                        const ny = cy + dy;
+                        
+                        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                            const nIdx = ny * width + nx;
+                            
+                            if (!visited[nIdx] && data[nIdx] === 255) {
+                                visited[nIdx] = true;
+                                queue.push([nx, ny]);
+                            }
+                        }
+                    }
+                }
+                
+                const w = maxX - minX + 1;
+                const h = maxY - minY + 1;
+                const aspectRatio = w / h;
+                const solidity = area / (w * h);
+                
+                components.push({
+                    x: minX,
+                    y: minY,
+                    w: w,
+                    h: h,
+                    area: area,
+                    aspectRatio: aspectRatio,
+                    solidity: solidity,
+                    pixels: pixels
+                });
+            }
+        }
+    }
+    
+    return components;
+}
+
+// 膨脹操作 (2x2 核)
+export function dilateBinary(binaryImage, kernelSize = 2) {
+    const { data, width, height } = binaryImage;
+    const result = new Uint8Array(width * height);
+    
+    const half = Math.floor(kernelSize / 2);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            let maxVal = 0;
+            
+            // 檢查核範圍
+            for (let ky = -half; ky <= half; ky++) {
+                for (let kx = -half; kx <= half; kx++) {
+                    const nx = x + kx;
+                    const ny = y + ky;
+                    
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                        const nIdx = ny * width + nx;
+                        maxVal = Math.max(maxVal, data[nIdx]);
+                    }
+                }
+            }
+            
+            result[idx] = maxVal;
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// 計算圖像矩 (用於質心計算)
+export function calculateImageMoments(binaryImage) {
+    const { data, width, height } = binaryImage;
+    
+    let m00 = 0, m10 = 0, m01 = 0;
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            if (data[idx] > 0) {
+                const value = data[idx] / 255; // 正規化到 0-1
+                m00 += value;
+                m10 += x * value;
+                m01 += y * value;
+            }
+        }
+    }
+    
+    return { m00, m10, m01 };
+}
+
+// 傾斜校正的最大斜率 (避免筆畫極少時的二階矩失真)
+const MAX_SKEW = 1;
+
+// 以二階中心矩估計斜體的斜率 mu11 / mu02 (與經典 MNIST 前處理相同)
+export function estimateSkew(image) {
+    const { data, width, height } = image;
+    const { m00, m10, m01 } = calculateImageMoments(image);
+    if (m00 === 0) return 0;
+    
+    const cx = m10 / m00;
+    const cy = m01 / m00;
+    let mu11 = 0, mu02 = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const value = data[y * width + x] / 255;
+            if (value > 0) {
+                mu11 += (x - cx) * (y - cy) * value;
+                mu02 += (y - cy) * (y - cy) * value;
+            }
+        }
+    }
+    
+    if (mu02 < 1e-6) return 0;
+    return Math.max(-MAX_SKEW, Math.min(MAX_SKEW, mu11 / mu02));
+}
+
+// 傾斜校正：以質心所在的列為軸做水平剪切，把斜體拉直
+// 先依剪切量加寬避免筆畫被裁掉 (雙線性取樣)，再裁回筆畫的左右範圍
+export function deskew(image) {
+    const { data, width, height } = image;
+    const skew = estimateSkew(image);
+    if (Math.abs(skew) < 0.05) return image;
+    
+    const { m00, m01 } = calculateImageMoments(image);
+    const cy = m01 / m00;
+    // 剪切後 x 方向的位移範圍
+    const shiftTop = skew * (0 - cy);
+    const shiftBottom = skew * (height - 1 - cy);
+    const minShift = Math.min(shiftTop, shiftBottom, 0);
+    const maxShift = Math.max(shiftTop, shiftBottom, 0);
+    const outWidth = width + Math.ceil(maxShift - minShift);
+    const result = new Uint8Array(outWidth * height);
+    
+    for (let y = 0; y < height; y++) {
+        // 輸出 (x, y) 取樣自輸入 (x + minShift + skew * (y - cy), y)
+        const offset = minShift + skew * (y - cy);
+        for (let x = 0; x < outWidth; x++) {
+            const srcX = x + offset;
+            const x0 = Math.floor(srcX);
+            const fx = srcX - x0;
+            const left = x0 >= 0 && x0 < width ? data[y * width + x0] : 0;
+            const right = x0 + 1 >= 0 && x0 + 1 < width ? data[y * width + x0 + 1] : 0;
+            result[y * outWidth + x] = Math.round(left * (1 - fx) + right * fx);
+        }
+    }
+    
+    let minX = outWidth, maxX = -1;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            if (result[y * outWidth + x] > 0) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+            }
+        }
+    }
+    if (maxX < minX) return image;
+    
+    return cropRegion({ data: result, width: outWidth, height }, minX, 0, maxX - minX + 1, height);
+}
+
+// ==================== 單一數字前處理管線 ====================
+
+// 前處理預設組合 (模型中繼資料的 preprocessing 可指定名稱，或以物件覆寫個別參數)
+export const PREPROCESS_PRESETS = {
+    // 原手寫前處理 (p.py advanced_preprocess)：二值化、膨脹、依最長邊留白 45% (不補成正方形)、最近鄰縮放、質心置中
+    'legacy-handwriting': {
+        threshold: 128, dilate: 2, layout: 'pad', padding: 0.45, square: false,
+        resample: 'nearest', centerOfMass: true, normalization: 'unit'
+    },
+    // 原鏡頭前處理 (app.py)：補成正方形並留白 40%、最近鄰縮放、MNIST 標準化
+    'legacy-camera': {
+        threshold: null, dilate: 0, layout: 'pad', padding: 0.4, square: true,
+        resample: 'nearest', centerOfMass: false, normalization: 'mnist'
+    },
+    // MNIST 原始做法：等比縮放到 20x20 (面積平均) 放進 28x28，再以質心置中
+    'mnist': {
+        threshold: null, dilate: 0, layout: 'fit', fitSize: 20,
+        resample: 'area', centerOfMass: true, normalization: 'unit'
+    }
+};
+
+const RESAMPLE_METHODS = ['nearest', 'bilinear', 'area'];
+const LAYOUTS = ['pad', 'fit'];
+const NORMALIZATIONS = ['unit', 'mnist'];
+const INPUT_SIZE = 28;
+
+/**
+ * 取得完整的前處理設定
+ * @param {string|object|null} spec 預設名稱，或 {preset?, ...覆寫參數}；null 使用 'mnist'
+ * @returns {{threshold, dilate, layout, padding, square, fitSize, resample, centerOfMass, normalization, deskew}}
+ */
+export function resolvePreprocessing(spec) {
+    if (spec == null) spec = 'mnist';
+    const name = typeof spec === 'string' ? spec : (spec.preset || 'mnist');
+    const preset = PREPROCESS_PRESETS[name];
+    if (!preset) {
+        throw new Error(`未知的前處理設定: ${name}`);
+    }
+
+    const config = { deskew: false, ...preset, ...(typeof spec === 'object' ? spec : {}) };
+    delete config.preset;
+    if (!RESAMPLE_METHODS.includes(config.resample)) {
+        throw new Error(`未知的縮放方式: ${config.resample}`);
+    }
+    if (!LAYOUTS.includes(config.layout)) {
+        throw new Error(`未知的置中方式: ${config.layout}`);
+    }
+    if (!NORMALIZATIONS.includes(config.normalization)) {
+        throw new Error(`未知的正規化方式: ${config.normalization}`);
+    }
+    return config;
+}
+
+// 縮放：nearest 與舊版相同 (取左上角)、bilinear 以像素中心對齊、area 以覆蓋面積加權平均 (適合縮小)
+export function resizeGray(image, outWidth, outHeight, method = 'area') {
+    const { data, width, height } = image;
+    const result = new Uint8Array(outWidth * outHeight);
+    const xRatio = width / outWidth;
+    const yRatio = height / outHeight;
+
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            let value;
+            if (method === 'nearest') {
+                value = data[Math.floor(y * yRatio) * width + Math.floor(x * xRatio)];
+            } else if (method === 'bilinear') {
+                const sx = Math.min(Math.max((x + 0.5) * xRatio - 0.5, 0), width - 1);
+                const sy = Math.min(Math.max((y + 0.5) * yRatio - 0.5, 0), height - 1);
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const y1 = Math.min(y0 + 1, height - 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+                const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+                const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+                value = top * (1 - fy) + bottom * fy;
+            } else {
+                // 來源矩形 [left, right) x [top, bottom) 內各像素依重疊面積加權
+                const left = x * xRatio;
+                const right = left + xRatio;
+                const top = y * yRatio;
+                const bottom = top + yRatio;
+                let sum = 0;
+                for (let sy = Math.floor(top); sy < Math.min(Math.ceil(bottom), height); sy++) {
+                    const wy = Math.min(bottom, sy + 1) - Math.max(top, sy);
+                    for (let sx = Math.floor(left); sx < Math.min(Math.ceil(right), width); sx++) {
+                        const wx = Math.min(right, sx + 1) - Math.max(left, sx);
+                        sum += data[sy * width + sx] * wx * wy;
+                    }
+                }
+                value = sum / (xRatio * yRatio);
+            }
+            result[y * outWidth + x] = Math.round(value);
+        }
+    }
+
+    return { data: result, width: outWidth, height: outHeight };
+}
+
+// 依設定留白或等比縮放後放進 28x28
+function layoutDigit(image, config) {
+    const { data, width, height } = image;
+
+    if (config.layout === 'fit') {
+        const scale = config.fitSize / Math.max(width, height);
+        const fitWidth = Math.max(1, Math.round(width * scale));
+        const fitHeight = Math.max(1, Math.round(height * scale));
+        const fitted = resizeGray(image, fitWidth, fitHeight, config.resample);
+
+        const canvas = new Uint8Array(INPUT_SIZE * INPUT_SIZE);
+        const offX = Math.floor((INPUT_SIZE - fitWidth) / 2);
+        const offY = Math.floor((INPUT_SIZE - fitHeight) / 2);
+        for (let y = 0; y < fitHeight; y++) {
+            canvas.set(fitted.data.subarray(y * fitWidth, (y + 1) * fitWidth), (y + offY) * INPUT_SIZE + offX);
+        }
+        return canvas;
+    }
+
+    // pad：依最長邊加上留白 (square 時先補成正方形並置中)，再整張縮放
+    const size = Math.max(width, height);
+    const pad = Math.floor(size * config.padding);
+    const paddedWidth = (config.square ? size : width) + pad * 2;
+    const paddedHeight = (config.square ? size : height) + pad * 2;
+    const offX = (config.square ? (size - width) / 2 : 0) + pad;
+    const offY = (config.square ? (size - height) / 2 : 0) + pad;
+
+    const padded = new Uint8Array(paddedWidth * paddedHeight);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            padded[Math.floor(y + offY) * paddedWidth + Math.floor(x + offX)] = data[y * width + x];
+        }
+    }
+    return resizeGray({ data: padded, width: paddedWidth, height: paddedHeight }, INPUT_SIZE, INPUT_SIZE, config.resample).data;
+}
+
+// 平移使質心落在影像中心
+function shiftToCenterOfMass(pixels) {
+    const moments = calculateImageMoments({ data: pixels, width: INPUT_SIZE, height: INPUT_SIZE });
+    if (moments.m00 === 0) return pixels;
+
+    const dx = INPUT_SIZE / 2 - moments.m10 / moments.m00;
+    const dy = INPUT_SIZE / 2 - moments.m01 / moments.m00;
+    const shifted = new Uint8Array(INPUT_SIZE * INPUT_SIZE);
+
+    for (let y = 0; y < INPUT_SIZE; y++) {
+        for (let x = 0; x < INPUT_SIZE; x++) {
+            const srcX = Math.round(x - dx);
+            const srcY = Math.round(y - dy);
+            if (srcX >= 0 && srcX < INPUT_SIZE && srcY >= 0 && srcY < INPUT_SIZE) {
+                shifted[y * INPUT_SIZE + x] = pixels[srcY * INPUT_SIZE + srcX];
+            }
+        }
+    }
+    return shifted;
+}
+
+/**
+ * 單一數字的前處理：傾斜校正 → 二值化 → 膨脹 → 留白或 20x20 等比縮放 → 質心置中 → 正規化
+ * @param {{data, width, height}} roiImage 黑底白字的數字 ROI
+ * @param {object} [options] resolvePreprocessing() 的結果 (可只給部分參數，其餘沿用 'mnist')
+ * @returns {Float32Array} 28x28 模型輸入，數值依 options.normalization
+ */
+export function preprocessDigit(roiImage, options = {}) {
+    const config = resolvePreprocessing(options);
+    let image = config.deskew ? deskew(roiImage) : roiImage;
+
+    if (config.threshold != null) {
+        image = binarizeImage(image, config.threshold);
+    }
+    if (config.dilate > 0) {
+        image = dilateBinary(image, config.dilate);
+    }
+
+    let pixels = layoutDigit(image, config);
+    if (config.centerOfMass) {
+        pixels = shiftToCenterOfMass(pixels);
+    }
+
+    return normalizeFromUint8(pixels, config.normalization);
+}
+
+// 進階預處理 (完全移植自 p.py 的 advanced_preprocess)，即 'legacy-handwriting' 設定
+// options.deskew: 縮放前先做傾斜校正
+export function advancedPreprocess(roiImage, options = {}) {
+    return preprocessDigit(roiImage, { preset: 'legacy-handwriting', deskew: Boolean(options.deskew) });
+}
+
+// ==================== 新增：移植自 Python app.py 的鏡頭辨識核心 ====================
+
+// 中值模糊 (移植自 Python 的 cv2.medianBlur)
+// Huang 滑動直方圖：每列只增減進出視窗的一欄，並增量追蹤中值位置
+// 邊界處視窗會被裁切，中值取排序後第 floor(n/2) 個值，與參考實作逐位元相同
+export function medianBlur(grayArray, kernelSize = 5) {
+    const { data, width, height } = grayArray;
+    const result = new Uint8Array(width * height);
+    const radius = Math.floor(kernelSize / 2);
+    const histogram = new Uint32Array(256);
+    
+    for (let y = 0; y < height; y++) {
+        const top = Math.max(0, y - radius);
+        const bottom = Math.min(height - 1, y + radius);
+        const rows = bottom - top + 1;
+        
+        // 建立本列第一個視窗的直方圖
+        histogram.fill(0);
+        let count = 0;
+        for (let x = 0; x <= Math.min(width - 1, radius); x++) {
+            for (let ny = top; ny <= bottom; ny++) {
+                histogram[data[ny * width + x]]++;
+            }
+            count += rows;
+        }
+        
+        // 從 0 開始尋找中值，lessThan 為小於中值的像素數
+        let median = 0;
+        let lessThan = 0;
+        
+        for (let x = 0; x < width; x++) {
+            if (x > 0) {
+                // 移出左側欄
+                const outX = x - radius - 1;
+                if (outX >= 0) {
+                    for (let ny = top; ny <= bottom; ny++) {
+                        const v = data[ny * width + outX];
+                        histogram[v]--;
+                        if (v < median) lessThan--;
+                    }
+                    count -= rows;
+                }
+                
+                // 加入右側欄
+                const inX = x + radius;
+                if (inX < width) {
+                    for (let ny = top; ny <= bottom; ny++) {
+                        const v = data[ny * width + inX];
+                        histogram[v]++;
+                        if (v < median) lessThan++;
+                    }
+                    count += rows;
+                }
+            }
+            
+            // 調整中值，使 lessThan <= k < lessThan + histogram[median]
+            const k = Math.floor(count / 2);
+            while (lessThan > k) {
+                median--;
+                lessThan -= histogram[median];
+            }
+            while (lessThan + histogram[median] <= k) {
+                lessThan += histogram[median];
+                median++;
+            }
+            
+            result[y * width + x] = median;
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// 積分影像 (Summed-Area Table)，尺寸為 (width+1) x (height+1)
+export function integralImage(grayArray) {
+    const { data, width, height } = grayArray;
+    const stride = width + 1;
+    const sat = new Float64Array(stride * (height + 1));
+    
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += data[y * width + x];
+            sat[(y + 1) * stride + (x + 1)] = sat[y * stride + (x + 1)] + rowSum;
+        }
+    }
+    
+    return sat;
+}
+
+// 自適應閾值 (移植自 Python 的 cv2.adaptiveThreshold)
+// 以積分影像 O(1) 取得區塊總和，邊界同樣只平均影像內的像素
+export function adaptiveThreshold(grayArray, blockSize = 31, C = 12) {
+    const { data, width, height } = grayArray;
+    const result = new Uint8Array(width * height);
+    const radius = Math.floor(blockSize / 2);
+    const stride = width + 1;
+    const sat = integralImage(grayArray);
+    
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height - 1, y + radius) + 1;
+        
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width - 1, x + radius) + 1;
+            
+            const sum = sat[y1 * stride + x1] - sat[y0 * stride + x1] -
+                        sat[y1 * stride + x0] + sat[y0 * stride + x0];
+            const count = (x1 - x0) * (y1 - y0);
+            
+            const mean = sum / count;
+            const threshold = mean - C;
+            
+            // 二值化取反 (THRESH_BINARY_INV)
+            result[y * width + x] = data[y * width + x] > threshold ? 0 : 255;
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// 中值模糊參考實作 (逐像素排序，用於驗證與效能比較)
+export function medianBlurReference(grayArray, kernelSize = 5) {
+    const { data, width, height } = grayArray;
+    const result = new Uint8Array(width * height);
+    const radius = Math.floor(kernelSize / 2);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const values = [];
+            
+            // 收集核內的所有值
+            for (let ky = -radius; ky <= radius; ky++) {
+                for (let kx = -radius; kx <= radius; kx++) {
+                    const nx = x + kx;
+                    const ny = y + ky;
+                    
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                        const idx = ny * width + nx;
+                        values.push(data[idx]);
+                    }
+                }
+            }
+            
+            // 計算中值
+            values.sort((a, b) => a - b);
+            const median = values[Math.floor(values.length / 2)];
+            result[y * width + x] = median;
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// 自適應閾值參考實作 (逐像素累加整個區塊，用於驗證與效能比較)
+export function adaptiveThresholdReference(grayArray, blockSize = 31, C = 12) {
+    const { data, width, height } = grayArray;
+    const result = new Uint8Array(width * height);
+    const radius = Math.floor(blockSize / 2);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            let count = 0;
+            
+            // 計算局部平均值
+            for (let ky = -radius; ky <= radius; ky++) {
+                for (let kx = -radius; kx <= radius; kx++) {
+                    const nx = x + kx;
+                    const ny = y + ky;
+                    
+                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                        const idx = ny * width + nx;
+                        sum += data[idx];
+                        count++;
+                    }
+                }
+            }
+            
+            const mean = sum / count;
+            const threshold = mean - C;
+            
+            // 二值化取反 (THRESH_BINARY_INV)
+            result[y * width + x] = data[y * width + x] > threshold ? 0 : 255;
+        }
+    }
+    
+    return { data: result, width, height };
+}
+
+// Python 風格的 ROI 預處理 (專門為數字1優化)，即 'legacy-camera' 設定
+// 先補成正方形黑底再縮放，瘦長的 "1" 才不會被拉成充滿格子的正方形
+// options.deskew: 置中前先做傾斜校正
+export function pythonStylePreprocess(roiBinary, options = {}) {
+    return preprocessDigit(roiBinary, { preset: 'legacy-camera', deskew: Boolean(options.deskew) });
+}
+
+// 將 28x28 模型輸入還原成 0-255 灰階 (MNIST 格式：黑底白字)
+export function denormalizeToUint8(input, normalization = 'unit') {
+    const pixels = new Uint8Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        const value = normalization === 'mnist' ? input[i] * 0.3081 + 0.1307 : input[i];
+        pixels[i] = Math.max(0, Math.min(255, Math.round(value * 255)));
+    }
+    return pixels;
+}
+
+// denormalizeToUint8 的反運算：0-255 灰階轉回模型輸入
+export function normalizeFromUint8(pixels, normalization = 'unit') {
+    const input = new Float32Array(pixels.length);
+    for (let i = 0; i < pixels.length; i++) {
+        const value = pixels[i] / 255;
+        input[i] = normalization === 'mnist' ? (value - 0.1307) / 0.3081 : value;
+    }
+    return input;
+}
+
+// 在兩種正規化方式之間換算 (target 為空時維持原樣)
+export function renormalize(input, from = 'unit', target = null) {
+    if (!target || from === target) return input;
+
+    const output = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        output[i] = target === 'mnist'
+            ? (input[i] - 0.1307) / 0.3081
+            : input[i] * 0.3081 + 0.1307;
+    }
+    return output;
+}
+
+// ==================== 共用工具 ====================
+
+// 從影像中裁切出指定矩形區域
+export function cropRegion(image, x, y, w, h) {
+    const { data, width } = image;
+    const region = new Uint8Array(w * h);
+    
+    for (let ry = 0; ry < h; ry++) {
+        const srcStart = (y + ry) * width + x;
+        region.set(data.subarray(srcStart, srcStart + w), ry * w);
+    }
+    
+    return { data: region, width: w, height: h };
+}
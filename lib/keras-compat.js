@@ -0,0 +1,193 @@
+/**
+ * 🌌 Keras 3 相容層 (無 DOM 依賴，不需 tf)
+ * 以一組可替換的改寫規則修正 Keras 3 經 tfjs converter 匯出的 model.json，
+ * 讓 tf.loadLayersModel 能直接載入；每條規則回傳修改次數，供載入器回報
+ *
+ * 規則格式：
+ *   { name, description, apply(artifacts, context) => 修改次數 }
+ *   context = { layerNames: Set, defaultInputShape }
+ */
+
+// 舊版 tf.js 預期的預設輸入形狀 (模型完全沒有形狀資訊時才使用)
+export const DEFAULT_INPUT_SHAPE = [null, 28, 28, 1];
+
+// 容器類別：其名稱不會出現在權重名稱的最後一層
+const CONTAINER_CLASSES = new Set(['Sequential', 'Functional', 'Model']);
+
+// ==================== 走訪工具 ====================
+
+// 走訪拓撲中所有 {class_name, config} 物件 (含巢狀模型)
+export function walkLayers(node, visit) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+        node.forEach(item => walkLayers(item, visit));
+        return;
+    }
+
+    if (typeof node.class_name === 'string' && node.config && typeof node.config === 'object') {
+        visit(node);
+    }
+    Object.values(node).forEach(value => walkLayers(value, visit));
+}
+
+// 拓撲中所有非容器層的名稱
+export function collectLayerNames(topology) {
+    const names = new Set();
+    walkLayers(topology, node => {
+        if (node.config.name && !CONTAINER_CLASSES.has(node.class_name)) {
+            names.add(node.config.name);
+        }
+    });
+    return names;
+}
+
+// ==================== 拓撲規則 ====================
+
+// InputLayer：Keras 3 使用 batch_shape，tf.js 需要 batch_input_shape
+const inputShapeRule = {
+    name: 'input-shape',
+    description: '由 batch_shape 推得 InputLayer 的 batch_input_shape',
+    apply(artifacts, context) {
+        let count = 0;
+        walkLayers(artifacts.modelTopology, node => {
+            if (node.class_name !== 'InputLayer') return;
+            const cfg = node.config;
+            if (cfg.batch_input_shape || cfg.batchInputShape) return;
+
+            if (Array.isArray(cfg.batch_shape)) {
+                cfg.batch_input_shape = cfg.batch_shape;
+            } else if (Array.isArray(cfg.shape)) {
+                cfg.batch_input_shape = [null, ...cfg.shape];
+            } else {
+                cfg.batch_input_shape = context.defaultInputShape;
+            }
+            count++;
+        });
+        return count;
+    }
+};
+
+// dtype 為 DTypePolicy 物件時改回字串；混合精度一律以 float32 載入
+const dtypePolicyRule = {
+    name: 'dtype-policy',
+    description: '將 DTypePolicy 物件正規化為 dtype 字串',
+    apply(artifacts) {
+        let count = 0;
+        walkLayers(artifacts.modelTopology, node => {
+            const dtype = node.config.dtype;
+            if (!dtype || typeof dtype !== 'object') return;
+
+            const policy = (dtype.config && dtype.config.name) || 'float32';
+            node.config.dtype = policy.startsWith('mixed_') ? 'float32' : policy;
+            count++;
+        });
+        return count;
+    }
+};
+
+// Keras 3 參數 (__keras_tensor__) 轉成 [layer, nodeIndex, tensorIndex, kwargs]
+function kerasTensorsToLegacy(value, kwargs) {
+    if (Array.isArray(value)) {
+        return value.flatMap(item => kerasTensorsToLegacy(item, kwargs));
+    }
+    if (value && value.class_name === '__keras_tensor__') {
+        const [layer, nodeIndex, tensorIndex] = value.config.keras_history;
+        return [[layer, nodeIndex, tensorIndex, kwargs]];
+    }
+    return [];
+}
+
+// Functional 模型：Keras 3 的 inbound_nodes 為 {args, kwargs}，tf.js 需要舊版巢狀陣列
+const inboundNodesRule = {
+    name: 'functional-inbound-nodes',
+    description: '將 Keras 3 的 inbound_nodes 轉成舊版格式',
+    apply(artifacts) {
+        let count = 0;
+        walkLayers(artifacts.modelTopology, node => {
+            const nodes = node.inbound_nodes;
+            if (!Array.isArray(nodes) || !nodes.some(n => n && !Array.isArray(n) && n.args)) return;
+
+            node.inbound_nodes = nodes.map(n => {
+                if (Array.isArray(n)) return n;
+                const kwargs = n.kwargs || {};
+                return kerasTensorsToLegacy(n.args, kwargs);
+            });
+            count++;
+        });
+        return count;
+    }
+};
+
+// Functional 模型：單一輸入/輸出時 Keras 3 會寫成扁平的 [name, 0, 0]
+const ioLayersRule = {
+    name: 'functional-io-layers',
+    description: '將扁平的 input_layers / output_layers 包成陣列',
+    apply(artifacts) {
+        let count = 0;
+        walkLayers(artifacts.modelTopology, node => {
+            for (const key of ['input_layers', 'output_layers']) {
+                const value = node.config[key];
+                if (Array.isArray(value) && typeof value[0] === 'string') {
+                    node.config[key] = [value];
+                    count++;
+                }
+            }
+        });
+        return count;
+    }
+};
+
+// ==================== 權重規則 ====================
+
+// 權重名稱去掉外層模型前綴 (sequential/、巢狀的 outer/inner/...)，從第一個實際層名稱開始
+const weightPrefixRule = {
+    name: 'weight-prefix',
+    description: '移除權重名稱中的模型前綴',
+    apply(artifacts, context) {
+        let count = 0;
+        (artifacts.weightSpecs || []).forEach(spec => {
+            const parts = spec.name.split('/');
+            const start = parts.findIndex((part, i) => i < parts.length - 1 && context.layerNames.has(part));
+            if (start > 0) {
+                spec.name = parts.slice(start).join('/');
+                count++;
+            }
+        });
+        return count;
+    }
+};
+
+// 預設規則 (依序套用)
+export const DEFAULT_RULES = [
+    inputShapeRule,
+    dtypePolicyRule,
+    inboundNodesRule,
+    ioLayersRule,
+    weightPrefixRule
+];
+
+/**
+ * 就地套用改寫規則
+ * @param {{modelTopology, weightSpecs}} artifacts tf.io 載入的模型檔案
+ * @param {object} [options]
+ * @param {Array} [options.rules=DEFAULT_RULES] 要套用的規則
+ * @param {number[]} [options.defaultInputShape] 完全沒有形狀資訊時的 InputLayer 形狀
+ * @returns {Array<{name, description, count}>} 實際產生修改的規則
+ */
+export function applyCompatibilityRules(artifacts, options = {}) {
+    const rules = options.rules || DEFAULT_RULES;
+    const context = {
+        layerNames: collectLayerNames(artifacts.modelTopology),
+        defaultInputShape: options.defaultInputShape || DEFAULT_INPUT_SHAPE
+    };
+
+    const applied = [];
+    for (const rule of rules) {
+        const count = rule.apply(artifacts, context);
+        if (count > 0) {
+            applied.push({ name: rule.name, description: rule.description, count });
+        }
+    }
+    return applied;
+}
@@ -0,0 +1,86 @@
+/**
+ * 🌌 類別標籤集 (無 DOM 依賴)
+ * 模型輸出的類別索引對應到顯示用的標籤字串；標籤集隨模型中繼資料載入，
+ * 可為預先定義的名稱 (例如 'emnist-balanced') 或任意字串陣列
+ */
+
+const range = (from, to) => Array.from(
+    { length: to.charCodeAt(0) - from.charCodeAt(0) + 1 },
+    (_, i) => String.fromCharCode(from.charCodeAt(0) + i)
+);
+
+export const DIGIT_LABELS = range('0', '9');
+export const MATH_OPERATORS = ['+', '−', '×', '÷', '=', '(', ')'];
+
+// 預先定義的標籤集
+export const LABEL_SETS = {
+    'digits': DIGIT_LABELS,
+    'math': [...DIGIT_LABELS, ...MATH_OPERATORS],
+    'emnist-letters': range('A', 'Z'),
+    'emnist-balanced': [
+        ...DIGIT_LABELS, ...range('A', 'Z'),
+        'a', 'b', 'd', 'e', 'f', 'g', 'h', 'n', 'q', 'r', 't'
+    ],
+    'emnist-byclass': [...DIGIT_LABELS, ...range('A', 'Z'), ...range('a', 'z')]
+};
+
+/**
+ * 取得標籤陣列
+ * @param {string|Array|{labels: Array}} spec 標籤集名稱、標籤陣列或 labels.json 內容
+ * @returns {string[]}
+ */
+export function resolveLabels(spec) {
+    if (typeof spec === 'string') {
+        const labels = LABEL_SETS[spec];
+        if (!labels) {
+            throw new Error(`未知的標籤集: ${spec}`);
+        }
+        return labels;
+    }
+    if (spec && Array.isArray(spec.labels)) {
+        return spec.labels.map(String);
+    }
+    if (Array.isArray(spec)) {
+        return spec.map(String);
+    }
+    throw new Error('標籤集必須是名稱或字串陣列');
+}
+
+// 語音或鍵盤輸入中常見的符號寫法
+const SPOKEN_ALIASES = [
+    ['加', '+'], ['減', '−'], ['乘', '×'], ['除以', '÷'], ['除', '÷'], ['等於', '='],
+    ['-', '−'], ['*', '×'], ['x', '×'], ['/', '÷']
+];
+
+/**
+ * 將一段文字拆成標籤序列 (最長比對)，有無法對應的字元時回傳 null
+ * @param {string} text 例如語音辨識結果
+ * @param {string[]} labels 目前模型的標籤集
+ * @returns {string[]|null}
+ */
+export function parseLabelSequence(text, labels) {
+    const known = new Set(labels);
+    let source = text.replace(/\s+/g, '');
+    for (const [alias, symbol] of SPOKEN_ALIASES) {
+        // 別名只在標籤集含有該符號、且別名本身不是標籤時才替換 (避免把字母 x 換掉)
+        if (known.has(symbol) && !known.has(alias)) {
+            source = source.split(alias).join(symbol);
+        }
+    }
+    if (!source) return null;
+
+    // 大小寫不分的標籤集 (例如只有大寫字母) 允許小寫輸入
+    const caseInsensitive = labels.every(label => label.toUpperCase() === label);
+    if (caseInsensitive) source = source.toUpperCase();
+
+    const sorted = [...known].sort((a, b) => b.length - a.length);
+    const sequence = [];
+    let i = 0;
+    while (i < source.length) {
+        const match = sorted.find(label => source.startsWith(label, i));
+        if (!match) return null;
+        sequence.push(match);
+        i += match.length;
+    }
+    return sequence;
+}
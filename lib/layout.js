@@ -0,0 +1,114 @@
+/**
+ * 🌌 版面分析 (無 DOM 依賴)
+ * 將偵測框依垂直重疊分組成多行，決定閱讀順序：行由上到下、行內由左到右
+ */
+
+// 兩段垂直區間的重疊比例 (相對於較矮的一方)
+function verticalOverlapRatio(top1, bottom1, top2, bottom2) {
+    const overlap = Math.min(bottom1, bottom2) - Math.max(top1, top2);
+    const shorter = Math.min(bottom1 - top1, bottom2 - top2);
+    return shorter > 0 ? overlap / shorter : 0;
+}
+
+/**
+ * 依垂直重疊將項目分行
+ * @param {Array} items 任意項目
+ * @param {(item) => {x, y, w, h}} [getBox] 取出項目的外框
+ * @param {number} [minOverlap=0.5] 視為同一行所需的最小重疊比例
+ * @returns {Array<{items: Array, top: number, bottom: number}>} 已排序的行
+ */
+export function groupIntoLines(items, getBox = item => item.box, minOverlap = 0.5) {
+    const sorted = [...items].sort((a, b) => {
+        const boxA = getBox(a);
+        const boxB = getBox(b);
+        return (boxA.y + boxA.h / 2) - (boxB.y + boxB.h / 2);
+    });
+
+    const lines = [];
+
+    for (const item of sorted) {
+        const box = getBox(item);
+        let bestLine = null;
+        let bestOverlap = 0;
+
+        for (const line of lines) {
+            const ratio = verticalOverlapRatio(box.y, box.y + box.h, line.top, line.bottom);
+            if (ratio > bestOverlap) {
+                bestOverlap = ratio;
+                bestLine = line;
+            }
+        }
+
+        if (bestLine && bestOverlap >= minOverlap) {
+            // 行的上下緣取成員平均，避免單一高大字元讓行無限擴張
+            bestLine.items.push(item);
+            const n = bestLine.items.length;
+            bestLine.top += (box.y - bestLine.top) / n;
+            bestLine.bottom += (box.y + box.h - bestLine.bottom) / n;
+        } else {
+            lines.push({ items: [item], top: box.y, bottom: box.y + box.h });
+        }
+    }
+
+    lines.sort((a, b) => a.top - b.top);
+    lines.forEach(line => line.items.sort((a, b) => getBox(a).x - getBox(b).x));
+
+    return lines;
+}
+
+function overlapLength(a0, a1, b0, b1) {
+    return Math.min(a1, b1) - Math.max(a0, b0);
+}
+
+// 字元的部件：扁平的橫線，或高度不到另一方一半的點與短筆畫
+function isPartOf(box, other) {
+    return box.h < box.w * 0.5 || box.h < other.h * 0.5;
+}
+
+/**
+ * 合併上下堆疊的群組 (同一字元分開的筆畫，或「=」、「÷」的各個部件)
+ * 水平重疊達 minOverlap (相對於較窄者) 時：
+ *   任一方為部件 → 垂直間距小於較大尺寸的一半即合併 (扁平的部件以寬度作為尺寸)
+ *   兩者都是完整高度 → 只合併垂直重疊或間距不超過 maxGap 的 (避免合併上下兩行的數字)
+ * @param {Array<{items: Array, box: {x, y, w, h}}>} groups
+ * @param {number} [minOverlap=0.5]
+ * @param {number} [maxGap=15] 完整高度的群組間允許的間距 (約一個筆寬)
+ * @returns {Array<{items: Array, box: {x, y, w, h}}>} 合併後的群組 (順序不保證)
+ */
+export function mergeStackedGroups(groups, minOverlap = 0.5, maxGap = 15) {
+    const result = [...groups];
+
+    // 反覆合併直到沒有變化 (合併後外框變大可能引發新的合併)
+    let merged = true;
+    while (merged) {
+        merged = false;
+        for (let i = 0; i < result.length && !merged; i++) {
+            for (let j = i + 1; j < result.length && !merged; j++) {
+                const a = result[i].box;
+                const b = result[j].box;
+                const xOverlap = overlapLength(a.x, a.x + a.w, b.x, b.x + b.w) / Math.min(a.w, b.w);
+                const yGap = -overlapLength(a.y, a.y + a.h, b.y, b.y + b.h);
+                const size = Math.max(a.h, b.h, Math.min(a.w, b.w));
+                const limit = isPartOf(a, b) || isPartOf(b, a) ? size * 0.5 : maxGap;
+
+                if (xOverlap >= minOverlap && yGap < limit) {
+                    const left = Math.min(a.x, b.x);
+                    const top = Math.min(a.y, b.y);
+                    result[i] = {
+                        items: [...result[i].items, ...result[j].items],
+                        box: {
+                            x: left,
+                            y: top,
+                            w: Math.max(a.x + a.w, b.x + b.w) - left,
+                            h: Math.max(a.y + a.h, b.y + b.h) - top
+                        }
+                    };
+                    result.splice(j, 1);
+                    merged = true;
+                }
+            }
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,55 @@
+/**
+ * 🌌 模型載入器 (Keras v3 兼容性修復)
+ * 主執行緒與 Worker 共用，依賴全域 tf
+ * 實際的改寫規則在 keras-compat.js，可依模型來源替換或增加
+ */
+
+import { applyCompatibilityRules } from './keras-compat.js';
+
+/**
+ * 依 URL 選擇載入方式：indexeddb:// 為本機儲存的模型 (已是 tf.js 格式)，其餘走 Keras v3 修復
+ * @returns {Promise<{model: tf.LayersModel, patches: Array<{name, description, count}>}>}
+ */
+export async function loadModelFromUrl(url) {
+    if (url.startsWith('indexeddb://')) {
+        return { model: await tf.loadLayersModel(url), patches: [] };
+    }
+
+    const loader = new PatchModelLoader(url);
+    const model = await tf.loadLayersModel(loader);
+    return { model, patches: loader.appliedPatches };
+}
+
+// ==================== Keras v3 兼容性修復 ====================
+// 可傳入 URL，或已建立的 IOHandler (例如 tf.io.browserFiles)
+// options.rules / options.defaultInputShape 會傳給 applyCompatibilityRules
+export class PatchModelLoader {
+    constructor(url, options = {}) { 
+        this.url = url; 
+        this.options = options;
+        this.appliedPatches = [];
+        console.log('PatchModelLoader 初始化，URL:', url);
+    }
+    
+    async load() {
+        try {
+            console.log('開始加載模型...');
+            const loader = typeof this.url === 'string' ? tf.io.browserHTTPRequest(this.url) : this.url;
+            const artifacts = await loader.load();
+            
+            if (artifacts.modelTopology) {
+                this.appliedPatches = applyCompatibilityRules(artifacts, this.options);
+            }
+            
+            this.appliedPatches.forEach(patch => {
+                console.log(`套用相容性修補 ${patch.name}: ${patch.description} (${patch.count} 處)`);
+            });
+            
+            console.log('模型加載成功');
+            return artifacts;
+        } catch (error) {
+            console.error('PatchModelLoader 錯誤:', error);
+            throw error;
+        }
+    }
+}
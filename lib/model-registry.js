@@ -0,0 +1,223 @@
+/**
+ * 🌌 模型登錄表 (依賴全域 tf)
+ * 同時保存多個模型，來源可為網址、本機檔案 (tf.io.browserFiles) 或 IndexedDB，
+ * 每個模型附帶中繼資料：輸入形狀、正規化方式、前處理設定與類別標籤
+ *
+ * 由 Keras 3 匯出的模型會記錄套用過的相容性修補 (entry.patches)
+ *
+ * 只接受 28x28x1 灰階輸入的模型 (見 SUPPORTED_INPUT_SHAPE)
+ *
+ * 中繼資料格式：
+ *   { inputShape: [28, 28, 1], normalization: 'unit' | 'mnist' | null, preprocessing, labels: ['0', ..., '9'] }
+ *   normalization 為 null 代表沿用各模式前處理的輸出 (隨附模型的既有行為)
+ *   preprocessing 為前處理設定名稱或物件 (見 image-processing.js 的 resolvePreprocessing)，
+ *   null 代表各模式沿用舊版前處理
+ *   labels 可寫成標籤集名稱 (見 labels.js)，或隨模型檔一起選取的 labels.json
+ *   (labels.json 為物件時也可一併寫入 normalization 與 preprocessing)
+ */
+
+import { PatchModelLoader, loadModelFromUrl } from './model-loader.js';
+import { resolveLabels } from './labels.js';
+import { resolvePreprocessing } from './image-processing.js';
+
+// 本機檔案載入的模型會另存到 IndexedDB，供 Worker 以網址載入並於下次開啟時還原
+export const STORED_PREFIX = 'indexeddb://mnist-app-model-';
+const SUPPORTED_NORMALIZATIONS = ['unit', 'mnist'];
+
+// 前處理、批次推論、樣本與微調都固定使用 28x28 灰階；
+// 相容層雖能由 batch_shape 推得其他形狀，這類模型載入後仍會被拒絕
+export const SUPPORTED_INPUT_SHAPE = [28, 28, 1];
+
+/**
+ * 決定模型的中繼資料：明確指定 > 模型內嵌 (userDefinedMetadata) > 由模型形狀推得
+ * @returns {{inputShape: number[], normalization: string|null, preprocessing: string|object|null, labels: string[]}}
+ */
+export function resolveMetadata(model, overrides = {}) {
+    const embedded = model.getUserDefinedMetadata() || {};
+    const inputShape = model.inputs[0].shape.slice(1);
+    if (inputShape.join('x') !== SUPPORTED_INPUT_SHAPE.join('x')) {
+        throw new Error(`不支援 ${inputShape.join('x')} 輸入的模型：目前只能使用 ${SUPPORTED_INPUT_SHAPE.join('x')} 灰階輸入`);
+    }
+
+    const outputShape = model.outputs[0].shape;
+    const numClasses = outputShape[outputShape.length - 1];
+
+    const spec = overrides.labels || embedded.labels;
+    const labels = spec ? resolveLabels(spec) : Array.from({ length: numClasses }, (_, i) => String(i));
+    if (labels.length !== numClasses) {
+        throw new Error(`類別標籤數 (${labels.length}) 與模型輸出 (${numClasses}) 不符`);
+    }
+
+    const normalization = overrides.normalization ?? embedded.normalization ?? null;
+    if (normalization !== null && !SUPPORTED_NORMALIZATIONS.includes(normalization)) {
+        throw new Error(`未知的正規化方式: ${normalization}`);
+    }
+
+    // 無效的設定在載入時就回報
+    const preprocessing = overrides.preprocessing ?? embedded.preprocessing ?? null;
+    if (preprocessing !== null) {
+        resolvePreprocessing(preprocessing);
+    }
+
+    return { inputShape, normalization, preprocessing, labels };
+}
+
+// 由檔名產生 IndexedDB 的鍵值
+function storageKey(name) {
+    const slug = name.replace(/\.json$/i, '').replace(/[^\w-]+/g, '-').toLowerCase();
+    return `${STORED_PREFIX}${slug}-${Date.now().toString(36)}`;
+}
+
+export class ModelRegistry {
+    constructor() {
+        this.entries = new Map();
+        this.activeId = null;
+    }
+
+    /**
+     * 加入已載入的模型；同一 id 已存在時取代並釋放舊模型
+     * 中繼資料無效 (例如不支援的輸入形狀) 時釋放傳入的模型並拋出錯誤
+     * @param {{id, name, url, source: 'url'|'files'|'indexeddb', model, metadata?, patches?}} entry
+     */
+    add({ id, name, url, source, model, metadata, patches = [] }) {
+        let resolved;
+        try {
+            resolved = resolveMetadata(model, metadata);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+
+        const entry = {
+            id,
+            name: name || id,
+            url,
+            source,
+            model,
+            metadata: resolved,
+            patches
+        };
+
+        // 被取代的模型若沒有其他項目在使用就釋放
+        const previous = this.entries.get(id);
+        this.entries.set(id, entry);
+        if (previous && !this.list().some(other => other.model === previous.model)) {
+            previous.model.dispose();
+        }
+
+        if (!this.activeId) this.activeId = id;
+        return entry;
+    }
+
+    async loadFromUrl(url, { id = url, name, metadata } = {}) {
+        const { model, patches } = await loadModelFromUrl(url);
+        // 由檔案另存的副本還原後仍視為 'files'，移除時才會一併刪除 IndexedDB 副本
+        const source = url.startsWith(STORED_PREFIX) ? 'files'
+            : url.startsWith('indexeddb://') ? 'indexeddb' : 'url';
+        return this.add({ id, name: name || url, url, source, model, metadata, patches });
+    }
+
+    // 使用者選取的 model.json 與權重檔 (.bin)，可另附 labels.json；載入後另存到 IndexedDB
+    async loadFromFiles(files, { name, metadata = {} } = {}) {
+        const list = Array.from(files);
+        const labelsFile = list.find(file => /labels\.json$/i.test(file.name));
+        const json = list.find(file => file.name.endsWith('.json') && file !== labelsFile);
+        if (!json) {
+            throw new Error('請同時選取 model.json 與權重檔 (.bin)');
+        }
+        const weights = list.filter(file => file !== json && file !== labelsFile);
+        if (labelsFile && !metadata.labels) {
+            const content = JSON.parse(await labelsFile.text());
+            const extra = Array.isArray(content) ? {} : content;
+            metadata = {
+                normalization: extra.normalization,
+                preprocessing: extra.preprocessing,
+                ...metadata,
+                labels: content
+            };
+        }
+
+        const loader = new PatchModelLoader(tf.io.browserFiles([json, ...weights]));
+        const model = await tf.loadLayersModel(loader);
+        const entryName = name || json.name;
+        const url = storageKey(entryName);
+
+        // 確認中繼資料有效後才寫入
+        let resolved;
+        try {
+            resolved = resolveMetadata(model, metadata);
+        } catch (error) {
+            model.dispose();
+            throw error;
+        }
+        model.setUserDefinedMetadata({ ...resolved, name: entryName });
+        await model.save(url);
+
+        return this.add({
+            id: url,
+            name: entryName,
+            url,
+            source: 'files',
+            model,
+            metadata: resolved,
+            patches: loader.appliedPatches
+        });
+    }
+
+    // 還原之前由檔案載入並存在 IndexedDB 的模型
+    async restoreStored() {
+        const stored = await tf.io.listModels().catch(() => ({}));
+        const restored = [];
+
+        for (const url of Object.keys(stored)) {
+            if (!url.startsWith(STORED_PREFIX)) continue;
+            try {
+                const entry = await this.loadFromUrl(url);
+                const { name } = entry.model.getUserDefinedMetadata() || {};
+                if (name) entry.name = name;
+                restored.push(entry);
+            } catch (error) {
+                console.warn('無法還原已儲存的模型:', url, error);
+            }
+        }
+
+        return restored;
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.entries.values());
+    }
+
+    get active() {
+        return this.get(this.activeId);
+    }
+
+    setActive(id) {
+        if (!this.entries.has(id)) {
+            throw new Error(`找不到模型: ${id}`);
+        }
+        this.activeId = id;
+        return this.active;
+    }
+
+    // 移除模型並釋放記憶體；由檔案載入的模型一併刪除 IndexedDB 副本
+    async remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.entries.delete(id);
+        entry.model.dispose();
+        if (entry.source === 'files') {
+            await tf.io.removeModel(entry.url).catch(() => {});
+        }
+
+        if (this.activeId === id) {
+            const [first] = this.entries.keys();
+            this.activeId = first || null;
+        }
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * 🌌 透視校正 (無 DOM 依賴)
+ * 偵測拍攝紙張的四邊形，並以單應性矩陣 (homography) 拉正成正視角影像
+ * 四邊形格式：{ tl, tr, br, bl }，每個角為 {x, y} 像素座標
+ */
+
+import { calculateOtsuThreshold } from './image-processing.js';
+
+// 偵測時縮小到的最大邊長 (只需找出輪廓)
+const DETECT_SIZE = 160;
+
+// ==================== 單應性矩陣 ====================
+
+// 高斯消去法解 n 元一次聯立方程式 (部分選主元)
+function solveLinear(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+/**
+ * 由四組對應點求單應性矩陣 (3x3，以長度 9 的陣列表示，h[8] = 1)
+ * @param {Array<{x, y}>} from 來源四點
+ * @param {Array<{x, y}>} to 目標四點
+ * @returns {number[]|null} 點共線等退化情況回傳 null
+ */
+export function computeHomography(from, to) {
+    const matrix = [];
+    const vector = [];
+    from.forEach(({ x, y }, i) => {
+        const { x: u, y: v } = to[i];
+        matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+        vector.push(u);
+        matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+        vector.push(v);
+    });
+    const h = solveLinear(matrix, vector);
+    return h ? [...h, 1] : null;
+}
+
+export function applyHomography(h, x, y) {
+    const w = h[6] * x + h[7] * y + h[8];
+    return {
+        x: (h[0] * x + h[1] * y + h[2]) / w,
+        y: (h[3] * x + h[4] * y + h[5]) / w
+    };
+}
+
+// 外框的四個角經過轉換後的外接矩形
+export function mapBox(h, box) {
+    const corners = [
+        applyHomography(h, box.x, box.y),
+        applyHomography(h, box.x + box.w, box.y),
+        applyHomography(h, box.x + box.w, box.y + box.h),
+        applyHomography(h, box.x, box.y + box.h)
+    ];
+    const left = Math.min(...corners.map(p => p.x));
+    const top = Math.min(...corners.map(p => p.y));
+    const right = Math.max(...corners.map(p => p.x));
+    const bottom = Math.max(...corners.map(p => p.y));
+    return { x: Math.round(left), y: Math.round(top), w: Math.round(right - left), h: Math.round(bottom - top) };
+}
+
+// ==================== 四邊形偵測 ====================
+
+function quadArea({ tl, tr, br, bl }) {
+    const points = [tl, tr, br, bl];
+    let sum = 0;
+    points.forEach((p, i) => {
+        const q = points[(i + 1) % 4];
+        sum += p.x * q.y - q.x * p.y;
+    });
+    return Math.abs(sum) / 2;
+}
+
+// 四個角依序繞行時轉向一致才是凸四邊形
+function isConvex({ tl, tr, br, bl }) {
+    const points = [tl, tr, br, bl];
+    const signs = points.map((p, i) => {
+        const q = points[(i + 1) % 4];
+        const r = points[(i + 2) % 4];
+        return Math.sign((q.x - p.x) * (r.y - q.y) - (q.y - p.y) * (r.x - q.x));
+    });
+    return signs.every(sign => sign > 0) || signs.every(sign => sign < 0);
+}
+
+// 區塊平均縮小
+function downscale(gray, factor) {
+    const width = Math.floor(gray.width / factor);
+    const height = Math.floor(gray.height / factor);
+    const data = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < factor; dy++) {
+                const row = (y * factor + dy) * gray.width + x * factor;
+                for (let dx = 0; dx < factor; dx++) sum += gray.data[row + dx];
+            }
+            data[y * width + x] = sum / (factor * factor);
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * 偵測影像中最大的亮色四邊形 (紙張或文件)
+ * 以最大亮色連通域的四個極值點 (x+y、x-y 的最小與最大) 作為角點
+ * @param {{data, width, height}} gray 灰階影像
+ * @param {object} [options]
+ * @param {number} [options.minCoverage=0.15] 四邊形至少佔畫面的比例
+ * @param {number} [options.maxCoverage=0.95] 超過此比例視為紙張填滿畫面 (不需校正)
+ * @param {number} [options.minFill=0.7] 連通域面積與四邊形面積的最小比值 (紙上的字跡會佔去一部分)
+ * @returns {{tl, tr, br, bl}|null} 找不到可靠的四邊形時回傳 null
+ */
+export function detectQuad(gray, options = {}) {
+    const { minCoverage = 0.15, maxCoverage = 0.95, minFill = 0.7 } = options;
+
+    const factor = Math.max(1, Math.ceil(Math.max(gray.width, gray.height) / DETECT_SIZE));
+    const small = factor > 1 ? downscale(gray, factor) : gray;
+    const { width, height, data } = small;
+    const threshold = calculateOtsuThreshold(small);
+
+    // 找出最大的亮色連通域，同時記錄四個極值點
+    const visited = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    let best = null;
+
+    for (let start = 0; start < data.length; start++) {
+        if (visited[start] || data[start] <= threshold) continue;
+
+        let top = 0;
+        let area = 0;
+        const extremes = { minSum: Infinity, maxSum: -Infinity, minDiff: Infinity, maxDiff: -Infinity };
+        const corners = {};
+        stack[top++] = start;
+        visited[start] = 1;
+
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            const y = (index - x) / width;
+            area++;
+
+            const sum = x + y;
+            const diff = x - y;
+            if (sum < extremes.minSum) { extremes.minSum = sum; corners.tl = { x, y }; }
+            if (sum > extremes.maxSum) { extremes.maxSum = sum; corners.br = { x, y }; }
+            if (diff > extremes.maxDiff) { extremes.maxDiff = diff; corners.tr = { x, y }; }
+            if (diff < extremes.minDiff) { extremes.minDiff = diff; corners.bl = { x, y }; }
+
+            // 4-鄰居
+            const neighbors = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                y > 0 ? index - width : -1,
+                y < height - 1 ? index + width : -1
+            ];
+            for (const next of neighbors) {
+                if (next >= 0 && !visited[next] && data[next] > threshold) {
+                    visited[next] = 1;
+                    stack[top++] = next;
+                }
+            }
+        }
+
+        if (!best || area > best.area) best = { area, corners };
+    }
+
+    if (!best) return null;
+
+    const quad = best.corners;
+    const imageArea = width * height;
+    const area = quadArea(quad);
+    if (!isConvex(quad)) return null;
+    if (area < imageArea * minCoverage || area > imageArea * maxCoverage) return null;
+    // 真正的四邊形會被角點圍住；圓形等亮區的面積會明顯超出
+    const fill = best.area / area;
+    if (fill < minFill || fill > 1.1) return null;
+
+    // 換回原始解析度 (取像素中心)
+    const scale = point => ({ x: (point.x + 0.5) * factor, y: (point.y + 0.5) * factor });
+    return { tl: scale(quad.tl), tr: scale(quad.tr), br: scale(quad.br), bl: scale(quad.bl) };
+}
+
+// ==================== 拉正 ====================
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * 將四邊形拉正成矩形影像 (雙線性取樣)
+ * 輸出保留紙張的長寬比，並縮放到不超過 maxWidth x maxHeight
+ * @param {{data, width, height}} gray 灰階影像
+ * @param {{tl, tr, br, bl}} quad 來源四邊形 (像素座標)
+ * @param {number} [maxWidth=gray.width]
+ * @param {number} [maxHeight=gray.height]
+ * @returns {{image: {data, width, height}, homography: number[]}|null}
+ *   homography 將輸出座標對應回來源座標 (可用 mapBox 換回原畫面)
+ */
+export function warpPerspective(gray, quad, maxWidth = gray.width, maxHeight = gray.height) {
+    const { tl, tr, br, bl } = quad;
+    const quadWidth = (distance(tl, tr) + distance(bl, br)) / 2;
+    const quadHeight = (distance(tl, bl) + distance(tr, br)) / 2;
+    if (quadWidth < 1 || quadHeight < 1) return null;
+
+    const scale = Math.min(maxWidth / quadWidth, maxHeight / quadHeight);
+    const width = Math.max(1, Math.round(quadWidth * scale));
+    const height = Math.max(1, Math.round(quadHeight * scale));
+
+    const homography = computeHomography(
+        [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+        [tl, tr, br, bl]
+    );
+    if (!homography) return null;
+
+    const src = gray.data;
+    const data = new Uint8Array(width * height);
+    const lastX = gray.width - 1;
+    const lastY = gray.height - 1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // 取樣點為像素中心
+            const p = applyHomography(homography, x + 0.5, y + 0.5);
+            const sx = Math.min(Math.max(p.x - 0.5, 0), lastX);
+            const sy = Math.min(Math.max(p.y - 0.5, 0), lastY);
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const x1 = Math.min(x0 + 1, lastX);
+            const y1 = Math.min(y0 + 1, lastY);
+            const fx = sx - x0;
+            const fy = sy - y0;
+
+            const top = src[y0 * gray.width + x0] * (1 - fx) + src[y0 * gray.width + x1] * fx;
+            const bottom = src[y1 * gray.width + x0] * (1 - fx) + src[y1 * gray.width + x1] * fx;
+            data[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+        }
+    }
+
+    return { image: { data, width, height }, homography };
+}
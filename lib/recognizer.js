@@ -0,0 +1,600 @@
+/**
+ * 🌌 無頭辨識 API
+ * recognize(imageData, options) 不讀寫任何 DOM，只回傳結構化結果
+ * 依賴全域 tf (由頁面 <script> 或 Worker 載入 TensorFlow.js)
+ */
+
+import {
+    imageDataToGrayArray,
+    calculateAverageBrightness,
+    invertBackground,
+    simpleGaussianBlur,
+    calculateOtsuThreshold,
+    binarizeImage,
+    findConnectedComponents,
+    dilateBinary,
+    medianBlur,
+    adaptiveThreshold,
+    preprocessDigit,
+    resolvePreprocessing,
+    cropRegion
+} from './image-processing.js';
+import { groupIntoLines, mergeStackedGroups } from './layout.js';
+import { splitTouchingDigits, estimateDigitCount } from './segmenter.js';
+import { groupStrokes, rasterizeStrokes } from './strokes.js';
+import { DIGIT_LABELS } from './labels.js';
+import { detectQuad, warpPerspective, mapBox } from './perspective.js';
+
+// ==================== 預設參數 ====================
+
+// 各模式的預設值 (沿用原 predict() 內的常數)
+export const MODE_DEFAULTS = {
+    handwriting: {
+        confidenceThreshold: 0.8,
+        minArea: 150,
+        splitPolicy: 'auto',
+        uncertainPolicy: 'placeholder',
+        symbols: false,
+        deskew: false,
+        preprocessing: 'legacy-handwriting',
+        minAspect: 0.15,
+        maxAspect: null,        // null 代表依切割策略決定 (符號模式 12、自動切割 5、其他 2.5)
+        minSolidity: 0.15,
+        border: 8,              // 邊緣無效區寬度 (像素)
+        borderMinArea: 1000     // 碰到邊緣無效區時仍保留的最小面積
+    },
+    camera: {
+        confidenceThreshold: 0.93,
+        minArea: null,          // null 代表使用畫面總像素的 0.2%
+        splitPolicy: 'none',
+        uncertainPolicy: 'drop',
+        deskew: false,
+        preprocessing: 'legacy-camera',
+        roi: { left: 0.2, top: 0.2, right: 0.8, bottom: 0.8 },  // 辨識區域 (畫面比例)
+        minAspect: 0.05,        // 放寬以捕捉瘦長的1
+        maxAspect: 1.2,
+        maxAreaRatio: 0.2,      // 連通域最大面積 (畫面總像素的比例)
+        blockSize: 31,          // 自適應閾值的區塊大小
+        thresholdOffset: 12     // 自適應閾值的常數 C
+    }
+};
+
+const TOP_K = 3;
+
+// 低信心度數字的佔位符號
+export const PLACEHOLDER = '?';
+
+// 透視校正後以整張拉正的紙張作為辨識區域
+const FULL_FRAME = { left: 0, top: 0, right: 1, bottom: 1 };
+
+// ==================== 除錯追蹤 ====================
+
+// options.debug 時記錄各階段的影像、耗時、連通域的取捨原因與切割位置；未啟用時所有記錄都是空操作
+class PipelineTrace {
+    constructor(enabled) {
+        this.enabled = Boolean(enabled);
+        this.stages = [];
+        this.components = [];
+        this.splits = [];
+        this.componentStage = null;
+        this.last = performance.now();
+    }
+
+    // 記錄一個階段，耗時為距上一個階段的時間 (image 可省略)
+    stage(name, image = null) {
+        if (!this.enabled) return;
+        const now = performance.now();
+        this.stages.push({ name, image, ms: now - this.last });
+        this.last = now;
+    }
+
+    // 連通域的外框座標以最近一個有影像的階段為準；reason 為 null 代表保留
+    component(comp, reason = null, detail = '') {
+        if (!this.enabled) return;
+        if (this.componentStage === null) {
+            this.componentStage = this.stages.length - 1;
+        }
+        this.components.push({
+            box: { x: comp.x, y: comp.y, w: comp.w, h: comp.h },
+            area: comp.area,
+            reason,
+            detail
+        });
+    }
+
+    split(box, parts) {
+        if (!this.enabled) return;
+        this.splits.push({ box, parts: parts.map(part => part.box) });
+    }
+
+    report() {
+        if (!this.enabled) return null;
+        const { stages, components, splits, componentStage } = this;
+        return { stages, components, splits, componentStage, totalMs: stages.reduce((sum, s) => sum + s.ms, 0) };
+    }
+}
+
+// ==================== 內部工具 ====================
+
+// 接受 ImageData (RGBA) 或灰階緩衝區 {data, width, height}
+function toGrayImage(input) {
+    if (!input || !input.data || !input.width || !input.height) {
+        throw new Error('recognize() 需要 ImageData 或 {data, width, height} 灰階緩衝區');
+    }
+
+    if (input.data.length === input.width * input.height * 4) {
+        return imageDataToGrayArray(input);
+    }
+    if (input.data.length === input.width * input.height) {
+        return input;
+    }
+
+    throw new Error(`影像緩衝區長度 ${input.data.length} 與尺寸 ${input.width}x${input.height} 不符`);
+}
+
+// 由分數陣列取出前 k 名 (digit 為類別索引，label 為顯示用標籤)
+export function topKFromScores(scores, k = TOP_K, labels = DIGIT_LABELS) {
+    return Array.from(scores, (probability, digit) => ({ digit, label: labels[digit] ?? String(digit), probability }))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, k);
+}
+
+// 將所有 28x28 輸入堆疊成 [N,28,28,1] 一次推論，只做一次 GPU 同步
+async function classifyBatch(model, inputs, topK, labels) {
+    if (inputs.length === 0) return [];
+
+    const pixels = 28 * 28;
+    const batch = new Float32Array(inputs.length * pixels);
+    inputs.forEach((input, i) => batch.set(input, i * pixels));
+
+    const prediction = tf.tidy(() =>
+        model.predict(tf.tensor4d(batch, [inputs.length, 28, 28, 1]))
+    );
+    const scores = await prediction.data();
+    prediction.dispose();
+
+    const numClasses = scores.length / inputs.length;
+    return inputs.map((_, i) => {
+        const ranked = topKFromScores(scores.subarray(i * numClasses, (i + 1) * numClasses), topK, labels);
+        return {
+            digit: ranked[0].digit,
+            label: ranked[0].label,
+            confidence: ranked[0].probability,
+            topK: ranked
+        };
+    });
+}
+
+// 連體字切割：在寬度 30%-70% 之間以垂直投影最小值切成兩段
+function splitByProjection(roi) {
+    const { data, width, height } = roi;
+
+    // 水平投影
+    const projection = new Array(width).fill(0);
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) {
+            if (data[y * width + x] === 255) {
+                projection[x]++;
+            }
+        }
+    }
+
+    const start = Math.floor(width * 0.3);
+    const end = Math.floor(width * 0.7);
+    let minVal = height + 1;
+    let splitX = start;
+
+    for (let x = start; x < end; x++) {
+        if (projection[x] < minVal) {
+            minVal = projection[x];
+            splitX = x;
+        }
+    }
+
+    return [
+        { x: 0, w: splitX },
+        { x: splitX, w: width - splitX }
+    ];
+}
+
+// 單一數字的顯示文字 (使用者更正優先，其次為佔位符號)
+export function entryText(entry) {
+    if (entry.corrected != null) return String(entry.corrected);
+    return entry.uncertain ? PLACEHOLDER : (entry.label ?? String(entry.digit));
+}
+
+// 依目前各數字 (含使用者更正) 重新組出整體文字
+export function resultText(result) {
+    return result.lines.map(line => line.digits.map(entryText).join('')).join('\n');
+}
+
+// 多個外框的聯集
+function unionBox(boxes) {
+    const left = Math.min(...boxes.map(b => b.x));
+    const top = Math.min(...boxes.map(b => b.y));
+    const right = Math.max(...boxes.map(b => b.x + b.w));
+    const bottom = Math.max(...boxes.map(b => b.y + b.h));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+// ==================== 分割 ====================
+
+// 手寫模式：Otsu 二值化 + 連通域過濾 + 連體字切割
+function segmentHandwriting(gray, options) {
+    const { width, height } = gray;
+    const { trace } = options;
+
+    // 背景反轉檢測
+    const avgBrightness = calculateAverageBrightness(gray);
+    const processedGray = avgBrightness > 120 ? invertBackground(gray) : gray;
+    if (processedGray !== gray) trace.stage('背景反轉', processedGray);
+
+    // 高斯模糊 + Otsu 二值化
+    const blurred = simpleGaussianBlur(processedGray);
+    trace.stage('高斯模糊', blurred);
+    const otsuThreshold = calculateOtsuThreshold(blurred);
+    const binaryImage = binarizeImage(blurred, otsuThreshold);
+    trace.stage(`Otsu 二值化 (閾值 ${otsuThreshold})`, binaryImage);
+
+    const components = findConnectedComponents(binaryImage);
+    const filteredComponents = [];
+
+    // 排除過於細長或寬大的線條 (自動切割時允許較寬的連體字，符號模式保留「−」等橫線)
+    const maxAspect = options.maxAspect ?? (options.symbols ? 12 : options.splitPolicy === 'auto' ? 5 : 2.5);
+    const border = options.border;
+
+    for (const comp of components) {
+        let reason = null;
+        let detail = '';
+
+        if (comp.area < options.minArea) {
+            // 面積過小則視為雜訊
+            reason = 'area';
+            detail = `面積 ${comp.area} < ${options.minArea}`;
+        } else if (comp.aspectRatio > maxAspect || comp.aspectRatio < options.minAspect) {
+            reason = 'aspect';
+            detail = `寬高比 ${comp.aspectRatio.toFixed(2)} 不在 ${options.minAspect}-${maxAspect}`;
+        } else if (comp.solidity < options.minSolidity) {
+            // Solidity (填滿率) 檢查
+            reason = 'solidity';
+            detail = `填滿率 ${comp.solidity.toFixed(2)} < ${options.minSolidity}`;
+        } else if ((comp.x < border || comp.y < border ||
+                    (comp.x + comp.w) > (width - border) ||
+                    (comp.y + comp.h) > (height - border)) && comp.area < options.borderMinArea) {
+            // 邊緣無效區過濾
+            reason = 'border';
+            detail = `碰到 ${border}px 邊緣且面積 ${comp.area} < ${options.borderMinArea}`;
+        }
+
+        trace.component(comp, reason, detail);
+        if (!reason) filteredComponents.push(comp);
+    }
+    trace.stage('連通域分析');
+
+    // 符號模式：上下分開的部件 (「=」、「÷」) 合併成一個字元
+    const candidates = options.symbols
+        ? mergeStackedGroups(filteredComponents.map(comp => ({ items: [comp], box: comp }))).map(group => group.box)
+        : filteredComponents;
+    const tallest = Math.max(0, ...candidates.map(comp => comp.h));
+
+    const regions = [];
+    for (const comp of candidates) {
+        const roi = cropRegion(binaryImage, comp.x, comp.y, comp.w, comp.h);
+        const box = { x: comp.x, y: comp.y, w: comp.w, h: comp.h };
+        const isTouching = comp.w > comp.h * 1.3;
+        // 符號模式下明顯矮於其他字元的 (運算符號) 不做連體字切割
+        const splittable = !options.symbols || comp.h >= tallest * 0.6;
+
+        // 自動切割需要模型評分，交由 recognize() 處理 (估計含兩個以上數字即嘗試)
+        if (options.splitPolicy === 'auto' && splittable && estimateDigitCount(comp.w, comp.h) >= 2) {
+            regions.push({ box, roi, touching: true });
+            continue;
+        }
+
+        if (options.splitPolicy === 'projection' && splittable && isTouching) {
+            const parts = [];
+            for (const part of splitByProjection(roi)) {
+                if (part.w < 5) continue;
+                parts.push({
+                    box: { x: comp.x + part.x, y: comp.y, w: part.w, h: comp.h },
+                    input: preprocessDigit(cropRegion(roi, part.x, 0, part.w, comp.h), options.pipeline)
+                });
+            }
+            trace.split(box, parts);
+            regions.push(...parts);
+            continue;
+        }
+
+        regions.push({ box, input: preprocessDigit(roi, options.pipeline) });
+    }
+    trace.stage('數字前處理');
+
+    return { regions, roi: null };
+}
+
+// 筆畫模式：直接依筆畫分組，不需連通域分析與連體字切割
+function segmentStrokes(strokes, width, height, options) {
+    const regions = [];
+
+    for (const group of groupStrokes(strokes)) {
+        // 只畫本群組的筆畫與所有橡皮擦 (保留原繪製順序)
+        const layer = strokes.filter(stroke => group.strokes.includes(stroke) || stroke.tool === 'eraser');
+        const raster = rasterizeStrokes(layer, width, height);
+
+        // 在群組外框內找出實際留下的像素範圍
+        const x0 = Math.max(0, Math.floor(group.box.x));
+        const y0 = Math.max(0, Math.floor(group.box.y));
+        const x1 = Math.min(width, Math.ceil(group.box.x + group.box.w));
+        const y1 = Math.min(height, Math.ceil(group.box.y + group.box.h));
+        let minX = x1, minY = y1, maxX = -1, maxY = -1;
+        let area = 0;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                if (raster.data[y * width + x] === 255) {
+                    area++;
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        // 整組被擦掉或面積過小
+        if (area < options.minArea) continue;
+
+        const box = { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+        regions.push({
+            box,
+            input: preprocessDigit(cropRegion(raster, box.x, box.y, box.w, box.h), options.pipeline)
+        });
+    }
+    options.trace.stage('筆畫分組與前處理');
+
+    return { regions, roi: null };
+}
+
+// 辨識區域由畫面比例換算成整數像素座標 (至少保留一個 MNIST 輸入大小)
+function roiToPixels(roi, width, height) {
+    const minSize = 28;
+    const left = Math.max(0, Math.min(Math.round(roi.left * width), width - minSize));
+    const top = Math.max(0, Math.min(Math.round(roi.top * height), height - minSize));
+    const right = Math.min(width, Math.max(Math.round(roi.right * width), left + minSize));
+    const bottom = Math.min(height, Math.max(Math.round(roi.bottom * height), top + minSize));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+// 鏡頭模式：只處理辨識區域內的像素，中值模糊 + 自適應閾值 (移植自 Python app.py)
+function segmentCamera(gray, options) {
+    const { width, height } = gray;
+    const { trace } = options;
+    const roi = roiToPixels(options.roi, width, height);
+
+    // 先裁出辨識區域，模糊與閾值的運算量隨區域面積縮小
+    const cropped = cropRegion(gray, roi.x, roi.y, roi.w, roi.h);
+    trace.stage('辨識區域', cropped);
+    const blurred = medianBlur(cropped, 5);
+    trace.stage('中值模糊', blurred);
+    const binaryImage = adaptiveThreshold(blurred, options.blockSize, options.thresholdOffset);
+    trace.stage(`自適應閾值 (區塊 ${options.blockSize}, C ${options.thresholdOffset})`, binaryImage);
+
+    // 輕微膨脹：補強數字1的線條連貫性
+    const dilated = dilateBinary(binaryImage, 2);
+    trace.stage('膨脹', dilated);
+    const components = findConnectedComponents(dilated);
+
+    // 面積範圍
+    const totalPixels = width * height;
+    const minArea = options.minArea != null ? options.minArea : totalPixels * 0.002;
+    const maxArea = totalPixels * options.maxAreaRatio;
+
+    const foundComponents = components.filter(comp => {
+        const aspectRatio = comp.w / comp.h;
+        let reason = null;
+        let detail = '';
+
+        if (!(comp.x > 0 && comp.y > 0 && comp.x + comp.w < roi.w && comp.y + comp.h < roi.h)) {
+            // 碰到區域邊界的連通域多半被裁掉一部分
+            reason = 'roi';
+            detail = '碰到辨識區域邊界';
+        } else if (!(comp.area > minArea && comp.area < maxArea)) {
+            reason = 'area';
+            detail = `面積 ${comp.area} 不在 ${Math.round(minArea)}-${Math.round(maxArea)}`;
+        } else if (!(aspectRatio > options.minAspect && aspectRatio < options.maxAspect)) {
+            reason = 'aspect';
+            detail = `寬高比 ${aspectRatio.toFixed(2)} 不在 ${options.minAspect}-${options.maxAspect}`;
+        }
+
+        trace.component(comp, reason, detail);
+        return !reason;
+    });
+    trace.stage('連通域分析');
+
+    // 外框換回整張畫面的座標
+    const regions = foundComponents.map(comp => {
+        const digitRoi = cropRegion(dilated, comp.x, comp.y, comp.w, comp.h);
+        return {
+            box: { x: comp.x + roi.x, y: comp.y + roi.y, w: comp.w, h: comp.h },
+            input: preprocessDigit(digitRoi, options.pipeline)
+        };
+    });
+    trace.stage('數字前處理');
+
+    return { regions, roi };
+}
+
+// ==================== 公開 API ====================
+
+/**
+ * 辨識影像中的數字
+ * @param {ImageData|{data, width, height}} imageData RGBA 影像或灰階緩衝區
+ * @param {object} options
+ * @param {tf.LayersModel} options.model 已載入的模型
+ * @param {'handwriting'|'camera'} [options.mode='handwriting'] 分割模式
+ * @param {number} [options.confidenceThreshold] 信心度門檻 (手寫 0.8 / 鏡頭 0.93)
+ * @param {number} [options.minArea] 連通域最小面積 (像素)
+ * @param {'auto'|'projection'|'none'} [options.splitPolicy] 連體字切割策略
+ *   auto 為多段動態規劃切割，projection 為舊版單次投影切割
+ * @param {number} [options.topK=3] 每個數字保留的候選數
+ * @param {'placeholder'|'drop'} [options.uncertainPolicy] 低信心度數字以佔位符號保留或直接捨棄
+ * @param {Array} [options.strokes] 手寫筆畫 (StrokeModel.strokes)；提供時依筆畫分組取代連通域分析
+ * @param {'unit'|'mnist'|null} [options.normalization] 模型訓練時的正規化方式 (來自模型中繼資料)；
+ *   未指定時沿用前處理設定的輸出 (舊版手寫 0-1、舊版鏡頭 MNIST 標準化)
+ * @param {string|object|null} [options.preprocessing] 單一數字的前處理設定 (來自模型中繼資料，見 resolvePreprocessing)；
+ *   未指定時手寫模式為 'legacy-handwriting'、鏡頭模式為 'legacy-camera'
+ * @param {string[]} [options.labels] 類別標籤 (來自模型中繼資料，預設 0-9)
+ * @param {boolean} [options.symbols=false] 符號模式：保留扁平的運算符號並合併上下分開的部件 (「=」、「÷」)
+ * @param {{left, top, right, bottom}} [options.roi] 鏡頭模式的辨識區域 (0-1 的畫面比例)，只處理區域內的像素
+ * @param {boolean} [options.deskew=false] 每個數字縮放前以二階矩做傾斜校正 (拉直斜體的 1、7)
+ * @param {boolean} [options.debug=false] 記錄各階段的中間結果與耗時 (見回傳值的 debug)
+ *   其餘分割門檻 (minAspect、maxAspect、minSolidity、border、blockSize、thresholdOffset…) 的預設值見 MODE_DEFAULTS
+ * @param {'auto'|{tl, tr, br, bl}|null} [options.perspective] 透視校正：'auto' 自動偵測紙張，或指定四個角的像素座標；
+ *   校正後以紙張範圍取代辨識區域 (筆畫分組模式不適用)
+ * @returns {Promise<{mode, text, lines, digits, rejected, labels, roi, quad, width, height}>}
+ *   text 以換行分隔各行；lines 依閱讀順序排列 (可能含佔位的低信心度數字)，
+ *   digits 為高信心度數字，rejected 為低信心度數字；每個數字都帶有 topK 候選
+ *   每個項目的 digit 為類別索引、label 為對應的標籤字串；使用者更正後 corrected 為標籤、correctedIndex 為索引；
+ *   roi 為鏡頭模式實際處理的像素區域 (其他模式或已透視校正時為 null)；
+ *   quad 為實際使用的校正四邊形 (未校正為 null)，外框一律為原畫面座標；
+ *   options.debug 時另有 debug = {stages, components, splits, componentStage, totalMs}：
+ *   stages[i] = {name, image, ms} 為各階段影像與耗時，components 為所有連通域與排除原因 (座標同 stages[componentStage])，
+ *   splits 為連體字的切割結果
+ */
+export async function recognize(imageData, options = {}) {
+    const { model } = options;
+    if (!model) {
+        throw new Error('recognize() 需要 options.model');
+    }
+
+    const mode = options.mode || 'handwriting';
+    if (!MODE_DEFAULTS[mode]) {
+        throw new Error(`未知的辨識模式: ${mode}`);
+    }
+
+    const settings = { ...MODE_DEFAULTS[mode], ...options, mode };
+    const target = settings.normalization || null;
+
+    // 前處理管線：模型指定的設定 (或模式預設) + 傾斜校正開關 + 模型的正規化方式
+    const pipeline = resolvePreprocessing(settings.preprocessing ?? MODE_DEFAULTS[mode].preprocessing);
+    pipeline.deskew = Boolean(settings.deskew);
+    if (target) pipeline.normalization = target;
+    settings.pipeline = pipeline;
+
+    const trace = new PipelineTrace(settings.debug);
+    settings.trace = trace;
+
+    const gray = toGrayImage(imageData);
+    trace.stage('灰階', gray);
+    const useStrokes = mode !== 'camera' && settings.strokes && settings.strokes.length > 0;
+
+    // 透視校正：在拉正後的影像上閾值化與分割，外框最後再換回原畫面座標
+    const quad = useStrokes ? null
+        : settings.perspective === 'auto' ? detectQuad(gray) : (settings.perspective || null);
+    const warped = quad ? warpPerspective(gray, quad) : null;
+    const image = warped ? warped.image : gray;
+    if (warped) {
+        settings.roi = FULL_FRAME;
+        trace.stage('透視校正', image);
+    }
+
+    let segmentation;
+    if (mode === 'camera') {
+        segmentation = segmentCamera(image, settings);
+    } else if (useStrokes) {
+        segmentation = segmentStrokes(settings.strokes, gray.width, gray.height, settings);
+    } else {
+        segmentation = segmentHandwriting(image, settings);
+    }
+    const { roi } = segmentation;
+    const topK = settings.topK || TOP_K;
+    const labels = settings.labels || DIGIT_LABELS;
+
+    // 連體字：以模型信心度挑選最佳切法 (切割結果已附帶分類)
+    const score = inputs => classifyBatch(model, inputs, topK, labels);
+    const regions = [];
+    for (const region of segmentation.regions) {
+        if (region.touching) {
+            const parts = await splitTouchingDigits(region.roi, region.box, score, pipeline);
+            trace.split(region.box, parts);
+            regions.push(...parts);
+        } else {
+            regions.push(region);
+        }
+    }
+
+    // 版面分析：行由上到下、行內由左到右
+    const layout = groupIntoLines(regions);
+    const ordered = layout.flatMap((line, lineIndex) =>
+        line.items.map(region => ({ ...region, layoutLine: lineIndex }))
+    );
+
+    // 尚未分類的區域一次批次推論
+    const pending = ordered.filter(region => !region.result);
+    const pendingResults = await classifyBatch(model, pending.map(region => region.input), topK, labels);
+    pending.forEach((region, i) => { region.result = pendingResults[i]; });
+    trace.stage(segmentation.regions.some(region => region.touching) ? '連體字切割與模型推論' : '模型推論');
+
+    const digits = [];
+    const rejected = [];
+    const lineDigits = layout.map(() => []);
+
+    const keepUncertain = settings.uncertainPolicy === 'placeholder';
+
+    ordered.forEach(region => {
+        const entry = {
+            ...region.result,
+            box: region.box,
+            input: region.input,
+            // 輸入的正規化方式：unit 為 0-1，mnist 為 (x/255 - 0.1307) / 0.3081
+            normalization: pipeline.normalization
+        };
+        entry.uncertain = !(entry.confidence > settings.confidenceThreshold);
+
+        if (entry.uncertain) {
+            rejected.push(entry);
+        } else {
+            digits.push(entry);
+        }
+
+        // 低信心度數字以佔位符號保留在原位置，而不是直接消失
+        if (!entry.uncertain || keepUncertain) {
+            lineDigits[region.layoutLine].push(entry);
+        }
+    });
+
+    if (warped) {
+        [...digits, ...rejected].forEach(entry => {
+            entry.box = mapBox(warped.homography, entry.box);
+        });
+    }
+
+    // 捨棄空行 ('drop' 時低信心度數字不會進入 lineDigits；'placeholder' 時整行都不確定也保留)
+    const lines = lineDigits
+        .filter(items => items.length > 0)
+        .map((items, lineIndex) => {
+            items.forEach((entry, index) => {
+                entry.line = lineIndex;
+                entry.index = index;
+            });
+            return {
+                text: items.map(entryText).join(''),
+                digits: items,
+                box: unionBox(items.map(d => d.box))
+            };
+        });
+
+    return {
+        mode,
+        text: lines.map(line => line.text).join('\n'),
+        lines,
+        digits,
+        rejected,
+        labels,
+        roi: warped ? null : roi,
+        quad: warped ? quad : null,
+        debug: trace.report(),
+        width: gray.width,
+        height: gray.height
+    };
+}
@@ -0,0 +1,96 @@
+/**
+ * 🌌 標註樣本儲存 (IndexedDB)
+ * 保存使用者更正後的 28x28 正規化影像與正確標籤，供重新訓練使用
+ * 只依賴 indexedDB，主執行緒與 Worker 皆可使用
+ *
+ * 樣本格式：
+ *   { id, pixels: Uint8Array(784), label, labelText, predicted, confidence, source, normalization, createdAt }
+ *   label 為收集當時模型的類別索引，labelText 為對應的標籤文字；
+ *   換用其他標籤集的模型時以 labelText 重新對應 (見 dataset-export.js 的 remapSamples)
+ */
+
+const DB_NAME = 'mnist-app-samples';
+const DB_VERSION = 1;
+const STORE_NAME = 'samples';
+
+// 將 IDBRequest 包成 Promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class SampleStore {
+    constructor(dbName = DB_NAME) {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('此環境不支援 IndexedDB');
+        }
+
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('label', 'label');
+            }
+        };
+
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    async transaction(mode, work) {
+        const db = await this.open();
+        const tx = db.transaction(STORE_NAME, mode);
+        const completed = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await promisify(work(tx.objectStore(STORE_NAME)));
+        await completed;
+        return result;
+    }
+
+    // 新增一筆樣本，回傳自動產生的 id
+    add(sample) {
+        if (!(sample.pixels instanceof Uint8Array) || sample.pixels.length !== 28 * 28) {
+            throw new Error('樣本像素必須是長度 784 的 Uint8Array');
+        }
+        if (!Number.isInteger(sample.label) || sample.label < 0 || sample.label > 255) {
+            throw new Error(`無效的樣本標籤: ${sample.label}`);
+        }
+        if (typeof sample.labelText !== 'string' || sample.labelText === '') {
+            throw new Error('樣本必須附帶標籤文字 (labelText)');
+        }
+
+        return this.transaction('readwrite', store => store.add({
+            createdAt: Date.now(),
+            ...sample
+        }));
+    }
+
+    // 以相同 id 覆寫 (例如同一個數字被再次更正)
+    put(sample) {
+        return this.transaction('readwrite', store => store.put(sample));
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    count() {
+        return this.transaction('readonly', store => store.count());
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * 🌌 連體字切割 (無 DOM 依賴)
+ * 依寬高比估計數字個數，產生垂直與滴落 (drop-fall) 候選切割路徑，
+ * 再以動態規劃挑出模型綜合信心度最高的切法
+ */
+
+import { preprocessDigit, PREPROCESS_PRESETS } from './image-processing.js';
+
+// 手寫數字的典型寬高比，用來估計連體字包含幾個數字 (連體時字距縮小，比單獨書寫時窄)
+const TYPICAL_DIGIT_ASPECT = 0.5;
+const MAX_DIGITS = 6;
+const MAX_CANDIDATE_CUTS = 8;
+// 每偏離估計個數一位，平均 log 信心度的懲罰
+const COUNT_PENALTY = 0.05;
+// 片段寬高比超過此值時視為可能未切開的多個數字，超出部分每 1.0 扣除的 log 信心度
+// (模型常把兩個相連的 0 讀成信心度很高的單一 0，只看信心度會偏好少切)
+const MAX_PIECE_ASPECT = 0.9;
+const WIDE_PIECE_PENALTY = 1.5;
+
+// 估計連通域包含的數字個數
+export function estimateDigitCount(width, height) {
+    const estimate = Math.round(width / (height * TYPICAL_DIGIT_ASPECT));
+    return Math.max(1, Math.min(MAX_DIGITS, estimate));
+}
+
+// 垂直投影 (每一欄的前景像素數)
+function columnProjection(roi) {
+    const { data, width, height } = roi;
+    const projection = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[y * width + x] === 255) projection[x]++;
+        }
+    }
+    return projection;
+}
+
+// 由上往下滴落：下方為背景就直落，否則往左下/右下找空隙，都沒有才切穿
+function dropFallPath(roi, startX, fromBottom) {
+    const { data, width, height } = roi;
+    const path = new Array(height);
+    const isInk = (x, y) => data[y * width + x] === 255;
+
+    let x = startX;
+    const rows = fromBottom
+        ? Array.from({ length: height }, (_, i) => height - 1 - i)
+        : Array.from({ length: height }, (_, i) => i);
+
+    path[rows[0]] = x;
+    for (let i = 1; i < rows.length; i++) {
+        const y = rows[i];
+        if (!isInk(x, y)) {
+            // 直落
+        } else if (x - 1 >= 1 && !isInk(x - 1, y)) {
+            x--;
+        } else if (x + 1 < width - 1 && !isInk(x + 1, y)) {
+            x++;
+        }
+        path[y] = x;
+    }
+
+    return path;
+}
+
+// 路徑切過的前景像素數，越少代表越像字與字的接縫
+function cutCost(roi, path) {
+    let cost = 0;
+    for (let y = 0; y < roi.height; y++) {
+        if (roi.data[y * roi.width + path[y]] === 255) cost++;
+    }
+    return cost;
+}
+
+// 產生候選切割路徑 (依平均 x 由左至右排序)
+export function findCandidateCuts(roi, estimate) {
+    const { width, height } = roi;
+    const projection = columnProjection(roi);
+    const margin = Math.max(2, Math.floor(height * 0.15));
+
+    // 候選起點：投影的局部最小值，加上依估計個數平均分配的位置
+    const starts = new Set();
+    const evenStarts = new Set();
+    for (let x = margin; x < width - margin; x++) {
+        if (projection[x] <= projection[x - 1] && projection[x] <= projection[x + 1]) {
+            starts.add(x);
+        }
+    }
+    for (let i = 1; i < estimate; i++) {
+        const x = Math.round(width * i / estimate);
+        starts.add(x);
+        evenStarts.add(x);
+    }
+
+    // 每個起點取垂直、上滴落、下滴落中切到最少筆畫的路徑
+    const cuts = [];
+    for (const x of starts) {
+        if (x < margin || x >= width - margin) continue;
+        const variants = [
+            new Array(height).fill(x),
+            dropFallPath(roi, x, false),
+            dropFallPath(roi, x, true)
+        ];
+        let best = null;
+        for (const path of variants) {
+            const cost = cutCost(roi, path);
+            if (!best || cost < best.cost) best = { path, cost };
+        }
+        best.center = best.path.reduce((sum, v) => sum + v, 0) / height;
+        best.even = evenStarts.has(x);
+        cuts.push(best);
+    }
+
+    // 平均分配的路徑優先保留 (字與字相連處常是筆畫最密的地方，成本反而高)，
+    // 其餘保留成本最低、彼此不過於接近的路徑
+    cuts.sort((a, b) => (b.even - a.even) || (a.cost - b.cost));
+    const selected = [];
+    for (const cut of cuts) {
+        if (selected.every(other => Math.abs(other.center - cut.center) >= margin)) {
+            selected.push(cut);
+        }
+        if (selected.length >= MAX_CANDIDATE_CUTS) break;
+    }
+
+    return selected.sort((a, b) => a.center - b.center).map(cut => cut.path);
+}
+
+// 取出兩條路徑之間的像素並裁成緊密外框
+function extractPiece(roi, leftPath, rightPath) {
+    const { data, width, height } = roi;
+    let minX = width, maxX = -1, minY = height, maxY = -1;
+    let area = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = leftPath[y]; x < rightPath[y]; x++) {
+            if (data[y * width + x] === 255) {
+                area++;
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+
+    if (area === 0) return null;
+
+    const w = maxX - minX + 1;
+    const h = maxY - minY + 1;
+    const piece = new Uint8Array(w * h);
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = Math.max(minX, leftPath[y]); x < Math.min(maxX + 1, rightPath[y]); x++) {
+            piece[(y - minY) * w + (x - minX)] = data[y * width + x];
+        }
+    }
+
+    return { image: { data: piece, width: w, height: h }, x: minX, y: minY, area };
+}
+
+/**
+ * 切割連體字
+ * @param {{data, width, height}} roi 連通域的二值化 ROI
+ * @param {{x, y, w, h}} box ROI 在原圖中的位置
+ * @param {(inputs: Float32Array[]) => Promise<Array<{confidence}>>} score 批次評分函數
+ * @param {object} [pipeline] 前處理設定 (resolvePreprocessing 的結果，預設為舊版手寫前處理)
+ * @returns {Promise<Array<{box, input, result}>>} 由左至右的切割結果
+ */
+export async function splitTouchingDigits(roi, box, score, pipeline = PREPROCESS_PRESETS['legacy-handwriting']) {
+    const { width, height } = roi;
+    const estimate = estimateDigitCount(width, height);
+    const minCount = Math.max(1, estimate - 1);
+    // 寬大於高時至少嘗試切成兩個數字
+    const maxCount = Math.min(MAX_DIGITS, Math.max(estimate + 1, width > height ? 2 : 1));
+
+    const leftEdge = new Array(height).fill(0);
+    const rightEdge = new Array(height).fill(width);
+    const bounds = [leftEdge, ...findCandidateCuts(roi, estimate), rightEdge];
+
+    // 列舉任兩條邊界之間的片段，過矮或過小的片段不可能是完整數字
+    const totalArea = roi.data.reduce((sum, v) => sum + (v === 255 ? 1 : 0), 0);
+    const pieces = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+        for (let j = i + 1; j < bounds.length; j++) {
+            const piece = extractPiece(roi, bounds[i], bounds[j]);
+            if (!piece) continue;
+            if (piece.image.height < height * 0.4) continue;
+            if (piece.area < totalArea * 0.05) continue;
+            pieces.push({ i, j, ...piece, input: preprocessDigit(piece.image, pipeline) });
+        }
+    }
+
+    const results = await score(pieces.map(p => p.input));
+    pieces.forEach((piece, k) => {
+        piece.result = results[k];
+        const aspect = piece.image.width / piece.image.height;
+        piece.logConf = Math.log(Math.max(results[k].confidence, 1e-9)) -
+            WIDE_PIECE_PENALTY * Math.max(0, aspect - MAX_PIECE_ASPECT);
+    });
+
+    // 動態規劃：best[n][j] = 用 n 段覆蓋到邊界 j 的最大 log 信心度總和
+    const last = bounds.length - 1;
+    const best = Array.from({ length: maxCount + 1 }, () => new Array(bounds.length).fill(null));
+    best[0][0] = { score: 0, piece: null, prev: null };
+
+    for (let n = 1; n <= maxCount; n++) {
+        for (const piece of pieces) {
+            const prev = best[n - 1][piece.i];
+            if (!prev) continue;
+            const total = prev.score + piece.logConf;
+            const current = best[n][piece.j];
+            if (!current || total > current.score) {
+                best[n][piece.j] = { score: total, piece, prev };
+            }
+        }
+    }
+
+    let chosen = null;
+    let chosenObjective = -Infinity;
+    for (let n = minCount; n <= maxCount; n++) {
+        const entry = best[n][last];
+        if (!entry) continue;
+        const objective = entry.score / n - COUNT_PENALTY * Math.abs(n - estimate);
+        if (objective > chosenObjective) {
+            chosenObjective = objective;
+            chosen = entry;
+        }
+    }
+
+    // 找不到可行切法時退回整體辨識
+    if (!chosen) {
+        return [{ box, input: preprocessDigit(roi, pipeline) }];
+    }
+
+    const segments = [];
+    for (let entry = chosen; entry.piece; entry = entry.prev) {
+        const piece = entry.piece;
+        segments.unshift({
+            box: { x: box.x + piece.x, y: box.y + piece.y, w: piece.image.width, h: piece.image.height },
+            input: piece.input,
+            result: piece.result
+        });
+    }
+
+    return segments;
+}
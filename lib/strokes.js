@@ -0,0 +1,339 @@
+/**
+ * 🌌 筆畫模型 (無 DOM 依賴)
+ * 以帶時間戳的點序列記錄每一筆，支援逐筆復原/重做、動畫重播、
+ * 任意筆寬重新點陣化，以及依筆畫直接分組成字元
+ */
+
+import { mergeStackedGroups } from './layout.js';
+
+let nextStrokeId = 1;
+
+// ==================== 筆畫模型 ====================
+export class StrokeModel {
+    constructor() {
+        this.strokes = [];
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    // 開始新的一筆；style: { tool: 'pen'|'eraser', width, color }
+    beginStroke(point, style = {}) {
+        this.current = {
+            id: nextStrokeId++,
+            tool: style.tool || 'pen',
+            width: style.width || 15,
+            color: style.color || (style.tool === 'eraser' ? 'black' : 'white'),
+            points: [normalizePoint(point)]
+        };
+        return this.current;
+    }
+
+    addPoint(point) {
+        if (!this.current) return;
+        this.current.points.push(normalizePoint(point));
+    }
+
+    // 結束目前這一筆並加入歷史；新的筆畫會清空重做堆疊
+    endStroke() {
+        const stroke = this.current;
+        if (!stroke) return null;
+
+        this.current = null;
+        this.strokes.push(stroke);
+        this.redoStack = [];
+        return stroke;
+    }
+
+    cancelStroke() {
+        this.current = null;
+    }
+
+    undo() {
+        const stroke = this.strokes.pop();
+        if (!stroke) return null;
+        this.redoStack.push(stroke);
+        return stroke;
+    }
+
+    redo() {
+        const stroke = this.redoStack.pop();
+        if (!stroke) return null;
+        this.strokes.push(stroke);
+        return stroke;
+    }
+
+    // 以外部狀態 (例如繪圖歷史) 取代目前的筆畫
+    replaceStrokes(strokes) {
+        this.strokes = [...strokes];
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    clear() {
+        this.strokes = [];
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    get canUndo() {
+        return this.strokes.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    get isEmpty() {
+        return this.strokes.length === 0;
+    }
+
+    toJSON() {
+        return { strokes: this.strokes };
+    }
+
+    static fromJSON(json) {
+        const model = new StrokeModel();
+        model.strokes = (json.strokes || []).map(stroke => ({ ...stroke, id: nextStrokeId++ }));
+        return model;
+    }
+}
+
+function normalizePoint(point) {
+    const normalized = {
+        x: point.x,
+        y: point.y,
+        t: point.t != null ? point.t : Date.now()
+    };
+    if (point.pressure != null) {
+        normalized.pressure = point.pressure;
+    }
+    return normalized;
+}
+
+// 筆壓 (0-1) 對應的筆寬：0.5 為原始筆寬，範圍 0.5x ~ 1.5x
+export function pressureWidth(baseWidth, pressure) {
+    if (pressure == null) return baseWidth;
+    return baseWidth * (0.5 + Math.max(0, Math.min(1, pressure)));
+}
+
+// 兩點之間線段的筆寬 (橡皮擦不受筆壓影響)
+function segmentWidth(stroke, a, b, penWidth) {
+    if (stroke.tool === 'eraser') return stroke.width;
+    const base = penWidth || stroke.width;
+    return (pressureWidth(base, a.pressure) + pressureWidth(base, b.pressure)) / 2;
+}
+
+function hasPressure(stroke) {
+    return stroke.tool !== 'eraser' && stroke.points.some(p => p.pressure != null);
+}
+
+// ==================== 幾何工具 ====================
+
+// 筆畫外框 (含筆寬，有筆壓時以最粗處計算)
+export function strokeBounds(stroke, width = stroke.width) {
+    if (hasPressure(stroke)) {
+        width = Math.max(...stroke.points.map(p => pressureWidth(width, p.pressure)));
+    }
+    const r = width / 2;
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of stroke.points) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    return { x: minX - r, y: minY - r, w: maxX - minX + width, h: maxY - minY + width };
+}
+
+/**
+ * 依筆畫分組成字元：水平方向大幅重疊且垂直方向相鄰的筆畫屬於同一個字
+ * 橡皮擦筆畫不參與分組
+ * @returns {Array<{strokes: Array, box: {x, y, w, h}}>} 依 x 排序的群組
+ */
+export function groupStrokes(strokes, minOverlap = 0.5) {
+    const single = strokes
+        .filter(stroke => stroke.tool !== 'eraser' && stroke.points.length > 0)
+        .map(stroke => ({ items: [stroke], box: strokeBounds(stroke) }));
+
+    // 群組內維持原繪製順序
+    const groups = mergeStackedGroups(single, minOverlap).map(group => ({
+        strokes: strokes.filter(stroke => group.items.includes(stroke)),
+        box: group.box
+    }));
+    return groups.sort((a, b) => a.box.x - b.box.x);
+}
+
+// ==================== 點陣化 ====================
+
+// 在灰階緩衝區上畫一段粗線 (兩端為圓頭)
+function drawCapsule(buffer, width, height, x0, y0, x1, y1, radius, value) {
+    const left = Math.max(0, Math.floor(Math.min(x0, x1) - radius));
+    const right = Math.min(width - 1, Math.ceil(Math.max(x0, x1) + radius));
+    const top = Math.max(0, Math.floor(Math.min(y0, y1) - radius));
+    const bottom = Math.min(height - 1, Math.ceil(Math.max(y0, y1) + radius));
+
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const lengthSq = dx * dx + dy * dy;
+    const radiusSq = radius * radius;
+
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            // 像素中心到線段的距離
+            const px = x + 0.5 - x0;
+            const py = y + 0.5 - y0;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+            const ex = px - t * dx;
+            const ey = py - t * dy;
+            if (ex * ex + ey * ey <= radiusSq) {
+                buffer[y * width + x] = value;
+            }
+        }
+    }
+}
+
+/**
+ * 以軟體方式將筆畫點陣化成灰階緩衝區 (黑底白字，橡皮擦畫回黑色)
+ * @param {Array} strokes 依繪製順序排列的筆畫
+ * @param {number} width 輸出寬度
+ * @param {number} height 輸出高度
+ * @param {object} [options]
+ * @param {number} [options.penWidth] 覆寫一般筆畫的筆寬
+ * @param {number} [options.scale=1] 座標縮放比例 (筆寬一併縮放)
+ * @returns {{data: Uint8Array, width: number, height: number}}
+ */
+export function rasterizeStrokes(strokes, width, height, options = {}) {
+    const scale = options.scale || 1;
+    const data = new Uint8Array(width * height);
+
+    for (const stroke of strokes) {
+        const value = stroke.tool === 'eraser' ? 0 : 255;
+        const points = stroke.points;
+
+        if (points.length === 1) {
+            const p = points[0];
+            const radius = (segmentWidth(stroke, p, p, options.penWidth) * scale) / 2;
+            drawCapsule(data, width, height, p.x * scale, p.y * scale, p.x * scale, p.y * scale, radius, value);
+            continue;
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const radius = (segmentWidth(stroke, a, b, options.penWidth) * scale) / 2;
+            drawCapsule(data, width, height, a.x * scale, a.y * scale, b.x * scale, b.y * scale, radius, value);
+        }
+    }
+
+    return { data, width, height };
+}
+
+// ==================== Canvas 繪製與重播 ====================
+
+// 以 Canvas 2D API 繪製筆畫 (ctx 可為 CanvasRenderingContext2D 或 OffscreenCanvas 的 context)
+export function renderStrokes(ctx, strokes, options = {}) {
+    ctx.save();
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const stroke of strokes) {
+        drawStrokePoints(ctx, stroke, stroke.points.length, options);
+    }
+
+    ctx.restore();
+}
+
+function drawStrokePoints(ctx, stroke, count, options = {}) {
+    const points = stroke.points;
+    if (count === 0) return;
+
+    ctx.strokeStyle = stroke.color;
+    ctx.fillStyle = stroke.color;
+
+    if (count === 1) {
+        const width = segmentWidth(stroke, points[0], points[0], options.penWidth);
+        ctx.beginPath();
+        ctx.arc(points[0].x, points[0].y, width / 2, 0, Math.PI * 2);
+        ctx.fill();
+        return;
+    }
+
+    // 有筆壓時逐段繪製，每段使用各自的筆寬 (圓頭讓接縫平滑)
+    if (hasPressure(stroke)) {
+        for (let i = 1; i < count; i++) {
+            ctx.lineWidth = segmentWidth(stroke, points[i - 1], points[i], options.penWidth);
+            ctx.beginPath();
+            ctx.moveTo(points[i - 1].x, points[i - 1].y);
+            ctx.lineTo(points[i].x, points[i].y);
+            ctx.stroke();
+        }
+        return;
+    }
+
+    ctx.lineWidth = segmentWidth(stroke, points[0], points[0], options.penWidth);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < count; i++) {
+        ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+}
+
+/**
+ * 依原始時間軸動畫重播筆畫
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array} strokes
+ * @param {object} [options]
+ * @param {number} [options.speed=1] 播放速度倍率
+ * @param {number} [options.maxPause=300] 筆與筆之間最長停頓 (毫秒)
+ * @param {Function} [options.clear] 每一影格重繪前呼叫，用於清除背景
+ * @param {Function} [options.requestFrame] 排程函數，預設為 requestAnimationFrame
+ * @returns {Promise<void>} 重播完成時 resolve
+ */
+export function replayStrokes(ctx, strokes, options = {}) {
+    const speed = options.speed || 1;
+    const maxPause = options.maxPause != null ? options.maxPause : 300;
+    const requestFrame = options.requestFrame || (cb => globalThis.requestAnimationFrame(cb));
+
+    // 建立壓縮停頓後的時間軸
+    const timeline = [];
+    let elapsed = 0;
+    let previousEnd = null;
+    for (const stroke of strokes) {
+        const start = stroke.points[0].t;
+        if (previousEnd != null) {
+            elapsed += Math.min(maxPause, Math.max(0, start - previousEnd));
+        }
+        const times = stroke.points.map(p => elapsed + (p.t - start));
+        timeline.push({ stroke, times });
+        elapsed = times[times.length - 1];
+        previousEnd = stroke.points[stroke.points.length - 1].t;
+    }
+
+    return new Promise(resolve => {
+        let startTime = null;
+
+        const frame = (now) => {
+            if (startTime === null) startTime = now;
+            const t = (now - startTime) * speed;
+
+            if (options.clear) options.clear();
+            ctx.save();
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            for (const { stroke, times } of timeline) {
+                const count = times.filter(time => time <= t).length;
+                drawStrokePoints(ctx, stroke, count);
+            }
+            ctx.restore();
+
+            if (t < elapsed) {
+                requestFrame(frame);
+            } else {
+                resolve();
+            }
+        };
+
+        requestFrame(frame);
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * 🌌 鏡頭多影格投票 (無 DOM 依賴)
+ * 以 IoU 追蹤跨影格的偵測框，在滑動視窗內累積各類別機率；
+ * 同一類別連續穩定 N 個影格才確認，整串數字穩定夠久時回報「鎖定」
+ */
+
+import { groupIntoLines } from './layout.js';
+
+export const TRACKER_DEFAULTS = {
+    iouThreshold: 0.3,      // 視為同一個目標的最小 IoU
+    window: 8,              // 機率累積的影格數
+    stableFrames: 5,        // 確認前需連續維持同一類別的影格數
+    commitThreshold: 0.9,   // 視窗平均機率門檻
+    maxMissed: 3,           // 連續幾個影格沒偵測到就移除
+    lockFrames: 10          // 整串結果不變多少影格後鎖定
+};
+
+function iou(a, b) {
+    const x1 = Math.max(a.x, b.x);
+    const y1 = Math.max(a.y, b.y);
+    const x2 = Math.min(a.x + a.w, b.x + b.w);
+    const y2 = Math.min(a.y + a.h, b.y + b.h);
+    const intersection = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+    const union = a.w * a.h + b.w * b.h - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+// 多個外框的聯集
+function unionBox(boxes) {
+    const left = Math.min(...boxes.map(b => b.x));
+    const top = Math.min(...boxes.map(b => b.y));
+    const right = Math.max(...boxes.map(b => b.x + b.w));
+    const bottom = Math.max(...boxes.map(b => b.y + b.h));
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+export class DigitTracker {
+    constructor(options = {}) {
+        this.defaults = { ...TRACKER_DEFAULTS, ...options };
+        this.options = { ...this.defaults };
+        this.reset();
+    }
+
+    // 調整確認門檻 (null 恢復預設)；每個影格的信心度門檻不影響追蹤，這是鏡頭模式實際的門檻
+    setCommitThreshold(threshold) {
+        this.options.commitThreshold = threshold ?? this.defaults.commitThreshold;
+    }
+
+    reset() {
+        this.tracks = [];
+        this.nextId = 1;
+        this.lastSignature = '';
+        this.lockCount = 0;
+    }
+
+    /**
+     * 加入一個影格的 recognize() 結果，回傳以追蹤結果取代後的同格式結果
+     * digits 只含已確認的目標，rejected 為仍在累積中的目標，另外附上 locked 鎖定狀態
+     */
+    update(result) {
+        const detections = [...result.digits, ...result.rejected];
+        this.match(detections);
+
+        const confirmed = [];
+        const pending = [];
+        for (const track of this.tracks) {
+            this.vote(track);
+            if (track.committed) {
+                confirmed.push(this.toEntry(track, track.committed));
+            } else if (track.missed === 0) {
+                pending.push(this.toEntry(track, track.best));
+            }
+        }
+
+        // 版面：行由上到下、行內由左到右
+        const lines = groupIntoLines(confirmed).map((line, lineIndex) => {
+            line.items.forEach((entry, index) => {
+                entry.line = lineIndex;
+                entry.index = index;
+            });
+            return {
+                text: line.items.map(entry => entry.label).join(''),
+                digits: line.items,
+                box: unionBox(line.items.map(entry => entry.box))
+            };
+        });
+
+        // 鎖定：所有可見目標都已確認，且整串結果維持不變夠久
+        const signature = lines.map(line => line.digits.map(d => `${d.trackId}:${d.label}`).join(',')).join('|');
+        const settled = signature !== '' && pending.length === 0 && signature === this.lastSignature;
+        this.lockCount = settled ? this.lockCount + 1 : 0;
+        this.lastSignature = signature;
+
+        return {
+            ...result,
+            text: lines.map(line => line.text).join('\n'),
+            lines,
+            digits: lines.flatMap(line => line.digits),
+            rejected: pending,
+            locked: this.lockCount >= this.options.lockFrames,
+            stableFrames: this.lockCount
+        };
+    }
+
+    // 依 IoU 由高到低貪婪配對偵測與既有目標
+    match(detections) {
+        const pairs = [];
+        detections.forEach((detection, d) => {
+            this.tracks.forEach((track, t) => {
+                const overlap = iou(detection.box, track.box);
+                if (overlap >= this.options.iouThreshold) pairs.push({ d, t, overlap });
+            });
+        });
+        pairs.sort((a, b) => b.overlap - a.overlap);
+
+        const usedDetections = new Set();
+        const usedTracks = new Set();
+        for (const { d, t } of pairs) {
+            if (usedDetections.has(d) || usedTracks.has(t)) continue;
+            usedDetections.add(d);
+            usedTracks.add(t);
+            this.observe(this.tracks[t], detections[d]);
+        }
+
+        this.tracks.forEach((track, t) => {
+            if (!usedTracks.has(t)) track.missed++;
+        });
+        this.tracks = this.tracks.filter(track => track.missed <= this.options.maxMissed);
+
+        detections.forEach((detection, d) => {
+            if (usedDetections.has(d)) return;
+            const track = { id: this.nextId++, box: detection.box, window: [], missed: 0, stable: 0, best: null, committed: null };
+            this.observe(track, detection);
+            this.tracks.push(track);
+        });
+    }
+
+    observe(track, detection) {
+        track.box = detection.box;
+        track.missed = 0;
+        track.window.push(detection.topK);
+        if (track.window.length > this.options.window) track.window.shift();
+    }
+
+    // 視窗內的平均機率 (只記錄了 top-k，其餘類別視為 0)
+    vote(track) {
+        if (track.missed > 0) return;
+
+        const totals = new Map();
+        for (const topK of track.window) {
+            for (const candidate of topK) {
+                const current = totals.get(candidate.digit) || { ...candidate, probability: 0 };
+                current.probability += candidate.probability;
+                totals.set(candidate.digit, current);
+            }
+        }
+        const ranked = [...totals.values()]
+            .map(candidate => ({ ...candidate, probability: candidate.probability / track.window.length }))
+            .sort((a, b) => b.probability - a.probability);
+
+        const best = ranked[0];
+        track.stable = track.best && track.best.digit === best.digit ? track.stable + 1 : 1;
+        track.best = { ...best, topK: ranked.slice(0, 3) };
+
+        // 確認後維持到另一個類別也達到確認條件為止，避免閃爍
+        if (track.stable >= this.options.stableFrames && best.probability >= this.options.commitThreshold) {
+            track.committed = track.best;
+        }
+    }
+
+    toEntry(track, vote) {
+        return {
+            digit: vote.digit,
+            label: vote.label ?? String(vote.digit),
+            confidence: vote.probability,
+            topK: vote.topK,
+            box: track.box,
+            trackId: track.id,
+            stable: track.stable,
+            uncertain: !track.committed
+        };
+    }
+}
@@ -5,6 +5,19 @@
  * 完全前端運行，無需後端伺服器
  */
 
+import { ModelRegistry } from './lib/model-registry.js';
+import { parseLabelSequence, DIGIT_LABELS } from './lib/labels.js';
+import { solveExpression, formatNumber } from './lib/expression.js';
+import { FIELD_TEMPLATES, applyTemplate } from './lib/field-templates.js';
+import { recognize, entryText, resultText, MODE_DEFAULTS } from './lib/recognizer.js';
+import { DigitTracker, TRACKER_DEFAULTS } from './lib/tracker.js';
+import { StrokeModel, renderStrokes, replayStrokes, pressureWidth } from './lib/strokes.js';
+import { DrawingHistory } from './lib/history.js';
+import { denormalizeToUint8 } from './lib/image-processing.js';
+import { SampleStore } from './lib/sample-store.js';
+import { encodeIdxImages, encodeIdxLabels, createSpriteBundle, remapSamples } from './lib/dataset-export.js';
+import { fineTuneModel, hasAdaptedModel, saveAdaptedModel, removeAdaptedModel, ADAPTED_MODEL_URL } from './lib/fine-tune.js';
+
 // ==================== 全局變量初始化 ====================
 const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d', { willReadFrequently: true });
@@ -13,7 +26,25 @@ const digitDisplay = document.getElementById('digit-display');
 const confDetails = document.getElementById('conf-details');
 const voiceStatus = document.getElementById('voice-status');
 
-let model = null;
+const MODEL_URL = 'tfjs_model/model.json';
+const SHIPPED_MODEL_ID = 'shipped';
+// 辨識與繪圖使用的邏輯解析度，與畫布實際顯示尺寸無關
+const LOGICAL_WIDTH = 700;
+const LOGICAL_HEIGHT = 320;
+const REALTIME_INTERVAL_MS = 100;
+const FALLBACK_INTERVAL_MS = 800;
+const HISTORY_LIMIT = 50;
+const PEN_WIDTH = 15;
+const ERASER_WIDTH = 40;
+const PALM_REJECTION_MS = 1000;  // 觸控筆使用後多久內忽略手指觸控
+const ROI_STORAGE_KEY = 'mnist-app-camera-roi';
+const MIN_ROI_SIZE = 0.1;  // 辨識區域最小邊長 (畫面比例)
+
+let isTraining = false;
+let compareModelId = null;  // A/B 比較的 B 模型 (null 為關閉)
+let isExpressionMode = false;
+let activeTemplateId = '';  // 欄位格式範本 (空字串為不套用)
+const digitCells = new Map();  // 辨識項目 → #digit-display 中的格子
 let isDrawing = false;
 let isEraser = false;
 let cameraStream = null;
@@ -21,70 +52,46 @@ let realtimeInterval = null;
 let recognition = null;
 let isVoiceActive = false;
 let isProcessing = false;
-let lastX = 0;
-let lastY = 0;
+let cameraWorker = null;
+let cameraWorkerReady = false;
+let hasRasterContent = false;  // 畫布上有非筆畫內容 (上傳的圖片)
+let isReplaying = false;
+let activePointerId = null;
+let activePointerType = null;
+let lastPenTime = 0;
+let currentResult = null;  // 最近一次顯示的辨識結果 (供逐位更正)
+let cameraRoi = loadCameraRoi();  // 鏡頭辨識區域 (0-1 的畫面比例)
+let roiDrag = null;  // 拖曳中的辨識區域 {pointerId, resizing, startX, startY, start, rect}
+let isPerspectiveMode = false;
+let isDeskewMode = false;  // 每個數字先做傾斜校正
+let manualQuad = null;  // 手動調整的紙張四角 (邏輯座標)，null 為自動偵測
+let cornerDrag = null;  // 拖曳中的角 {pointerId, corner, rect}
+let isDebugMode = false;  // 顯示各處理階段的除錯面板
+const tuningOverrides = { handwriting: {}, camera: {} };  // 除錯面板調整過的門檻 (依模式)
 
-// ==================== Keras v3 兼容性修復 ====================
-class PatchModelLoader {
-    constructor(url) { 
-        this.url = url; 
-        console.log('PatchModelLoader 初始化，URL:', url);
-    }
-    
-    async load() {
-        try {
-            console.log('開始加載模型...');
-            const loader = tf.io.browserHTTPRequest(this.url);
-            const artifacts = await loader.load();
-            
-            // 修復 InputLayer 形狀
-            const traverseAndPatch = (obj) => {
-                if (!obj || typeof obj !== 'object') return;
-                
-                if (obj.class_name === 'InputLayer' && obj.config) {
-                    const cfg = obj.config;
-                    if (!cfg.batchInputShape && !cfg.batch_input_shape) {
-                        console.log('修復 InputLayer 形狀');
-                        cfg.batchInputShape = [null, 28, 28, 1];
-                    }
-                }
-                
-                if (Array.isArray(obj)) {
-                    obj.forEach(item => traverseAndPatch(item));
-                } else {
-                    Object.keys(obj).forEach(key => traverseAndPatch(obj[key]));
-                }
-            };
-            
-            if (artifacts.modelTopology) {
-                traverseAndPatch(artifacts.modelTopology);
-            }
+// 向量筆畫紀錄與復原/重做歷史
+const strokeModel = new StrokeModel();
+const drawingHistory = new DrawingHistory(HISTORY_LIMIT);
 
-            // 修復權重名稱
-            if (artifacts.weightSpecs) {
-                artifacts.weightSpecs.forEach(spec => {
-                    if (spec.name.includes('sequential/')) {
-                        spec.name = spec.name.replace('sequential/', '');
-                    }
-                });
-            }
-            
-            console.log('模型加載成功');
-            return artifacts;
-        } catch (error) {
-            console.error('PatchModelLoader 錯誤:', error);
-            throw error;
-        }
-    }
-}
+// 使用者更正後的標註樣本
+const sampleStore = new SampleStore();
+
+// 已載入的模型 (隨附、本機微調、網址或檔案)
+const modelRegistry = new ModelRegistry();
+
+// 鏡頭模式跨影格追蹤與投票 (連續穩定才確認數字)
+const cameraTracker = new DigitTracker();
+let lastX = 0;
+let lastY = 0;
 
 // ==================== 系統初始化 ====================
+// 只在頁面載入時執行一次 (模型載入與登錄)
 async function init() {
     console.log('🌌 初始化銀河辨識系統...');
     
     // 初始化畫布
     ctx.fillStyle = "black";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
     updatePen();
     
     // 初始化語音識別
@@ -93,14 +100,20 @@ async function init() {
     // 載入 TensorFlow.js 模型
     await loadModel();
     
+    resetDisplay();
+    console.log('✅ 系統初始化完成');
+}
+
+// 重設畫布與提示 (關閉鏡頭後回到手寫模式，保留使用中的模型與繪圖歷史)
+function resetDisplay() {
+    redrawFromHistory();
+    
     // 初始提示
     digitDisplay.innerText = "---";
     confDetails.innerText = "🚀 系統就緒，請開始書寫數字";
     
     // 銀河特效
     addGalaxyEffects();
-    
-    console.log('✅ 系統初始化完成');
 }
 
 // ==================== 模型加載 (修復 WebGL 錯誤) ====================
@@ -141,12 +154,24 @@ async function loadModel() {
             `;
         }
         
-        // 載入模型（使用修復器）
-        const modelUrl = 'tfjs_model/model.json';
-        console.log('從以下位置載入模型:', modelUrl);
+        // 載入隨附模型；有本機微調權重時一併載入並設為使用中
+        console.log('從以下位置載入模型:', MODEL_URL);
+        await modelRegistry.loadFromUrl(MODEL_URL, { id: SHIPPED_MODEL_ID, name: '原始模型' });
         
-        model = await tf.loadLayersModel(new PatchModelLoader(modelUrl));
+        if (await hasAdaptedModel()) {
+            try {
+                await modelRegistry.loadFromUrl(ADAPTED_MODEL_URL, { name: '本機微調模型' });
+                activateModel(ADAPTED_MODEL_URL);
+            } catch (error) {
+                console.warn('微調模型載入失敗，改用原始模型:', error);
+            }
+        }
+        
+        // 之前由檔案載入的模型
+        await modelRegistry.restoreStored();
+        refreshModelSelectors();
         
+        const { model } = modelRegistry.active;
         console.log('✅ 模型載入成功！');
         console.log('輸入形狀:', model.inputs[0].shape);
         console.log('輸出形狀:', model.outputs[0].shape);
@@ -178,924 +203,765 @@ async function loadModel() {
     }
 }
 
-// ==================== 影像處理函數 (完整移植自 p.py) ====================
-
-// 轉換 ImageData 為灰階陣列
-function imageDataToGrayArray(imageData) {
-    const width = imageData.width;
-    const height = imageData.height;
-    const data = imageData.data;
-    const grayArray = new Uint8Array(width * height);
-    
-    for (let i = 0, j = 0; i < data.length; i += 4, j++) {
-        grayArray[j] = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-    }
+// ==================== 主辨識函數 (整合Python版鏡頭辨識邏輯) ====================
+async function predict(isRealtime = false) {
+    // 防止重複處理
+    const active = modelRegistry.active;
+    if (isProcessing || isTraining || !active) return;
+    isProcessing = true;
     
-    return { data: grayArray, width, height };
-}
-
-// 計算平均亮度
-function calculateAverageBrightness(grayArray) {
-    let sum = 0;
-    for (let i = 0; i < grayArray.data.length; i++) {
-        sum += grayArray.data[i];
+    try {
+        // 顯示載入狀態
+        if (!isRealtime) {
+            digitDisplay.innerHTML = '<span class="pulse-icon">🌠</span>';
+            confDetails.innerText = "正在分析影像...";
+        }
+        
+        // 獲取畫布影像
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = LOGICAL_WIDTH;
+        tempCanvas.height = LOGICAL_HEIGHT;
+        const tempCtx = tempCanvas.getContext('2d');
+        
+        // 如果有相機串流，先繪製相機影像 (裁切方式與畫面上的 object-fit: cover 一致)
+        if (cameraStream) {
+            const crop = getVideoCoverCrop();
+            tempCtx.drawImage(video, crop.x, crop.y, crop.w, crop.h, 0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+        }
+        // 繪製手寫畫布 (由高解析度緩衝區縮回邏輯解析度)
+        tempCtx.drawImage(canvas, 0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+        
+        // 獲取影像數據
+        const imageData = tempCtx.getImageData(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+        
+        // 無頭辨識 (不觸碰 DOM)
+        const mode = isRealtime && cameraStream ? 'camera' : 'handwriting';
+        // 畫布只有筆畫時直接依筆畫分組
+        const useStrokes = mode === 'handwriting' && !hasRasterContent && !strokeModel.isEmpty;
+        const recognizeOptions = {
+            mode,
+            minArea: mode === 'handwriting' ? (isRealtime ? 500 : 150) : null,
+            strokes: useStrokes ? strokeModel.strokes : null,
+            symbols: mode === 'handwriting' && isExpressionMode,
+            roi: cameraRoi,  // 只在鏡頭模式使用
+            perspective: perspectiveOption(),
+            deskew: isDeskewMode,
+            ...tuningOverrides[mode]
+        };
+        const result = await recognize(imageData, {
+            ...recognizeOptions,
+            debug: isDebugMode,
+            model: active.model,
+            normalization: active.metadata.normalization,
+            preprocessing: active.metadata.preprocessing,
+            labels: active.metadata.labels
+        });
+        
+        // 由結果渲染 UI (鏡頭模式先經過跨影格投票)
+        const view = renderRecognition(mode === 'camera' ? cameraTracker.update(result) : result, isRealtime);
+        renderDebugPanel(result);
+        
+        // A/B 比較只在手動辨識時執行，避免拖慢即時模式
+        if (!isRealtime) {
+            await renderComparison(imageData, recognizeOptions, result);
+        }
+        
+        isProcessing = false;
+        return {
+            full_digit: view.finalResult,
+            details: view.details,
+            boxes: view.validBoxes,
+            result
+        };
+        
+    } catch (error) {
+        console.error("辨識錯誤:", error);
+        digitDisplay.innerText = "❌";
+        showDetailLines([[styledText('錯誤：', null, 'b'), error.message]]);
+        addVisualFeedback("#e74c3c");
+        isProcessing = false;
+        return { error: error.message };
     }
-    return sum / grayArray.data.length;
 }
 
-// 背景反轉
-function invertBackground(grayArray) {
-    const inverted = new Uint8Array(grayArray.data.length);
-    for (let i = 0; i < grayArray.data.length; i++) {
-        inverted[i] = 255 - grayArray.data[i];
-    }
-    return { data: inverted, width: grayArray.width, height: grayArray.height };
-}
+// ==================== UI 功能 ====================
 
-// 簡化高斯模糊 (3x3 核心)
-function simpleGaussianBlur(grayArray) {
-    const { data, width, height } = grayArray;
-    const result = new Uint8Array(width * height);
+// 將 recognize() 的結構化結果渲染到畫面
+function renderRecognition(result, isRealtime) {
+    // 由結構化結果產生顯示資料 (多行以換行分隔)
+    const finalResult = result.text;
+    const summary = result.lines.map(line => line.text).join(' / ');
+    const details = result.digits.map(item => ({
+        digit: item.label,
+        line: item.line,
+        conf: `${(item.confidence * 100).toFixed(1)}%`,
+        rawConfidence: item.confidence
+    }));
+    
+    currentResult = result;
+    closeDigitPicker();
+    renderPerspectiveCorners(result.quad);
+    const validBoxes = result.digits.map(item => item.box);
+    
+    // 更新顯示
+    if (finalResult) {
+        // 即時模式每個影格都會重繪，不提供點選更正
+        renderDigitLines(result.lines, !isRealtime);
+    
+        // 添加動畫效果
+        digitDisplay.style.transform = "scale(1.2)";
+        setTimeout(() => {
+            digitDisplay.style.transform = "scale(1)";
+        }, 300);
     
-    const kernel = [1, 2, 1, 2, 4, 2, 1, 2, 1];
-    const kernelSum = 16;
+        // 視覺回饋
+        addVisualFeedback("#2ecc71");
     
-    for (let y = 1; y < height - 1; y++) {
-        for (let x = 1; x < width - 1; x++) {
-            let sum = 0;
-            let k = 0;
-            
-            for (let ky = -1; ky <= 1; ky++) {
-                for (let kx = -1; kx <= 1; kx++) {
-                    const idx = (y + ky) * width + (x + kx);
-                    sum += data[idx] * kernel[k];
-                    k++;
-                }
-            }
-            
-            const idx = y * width + x;
-            result[idx] = Math.round(sum / kernelSum);
-        }
-    }
-    
-    // 複製邊緣像素
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            if (y === 0 || y === height - 1 || x === 0 || x === width - 1) {
-                const idx = y * width + x;
-                result[idx] = data[idx];
-            }
+        // 更新詳細資訊 (含每個數字的前三名候選)
+        const header = !isRealtime
+            ? styledText(`✅ 辨識完成: ${summary}`, '#2ecc71')
+            : result.locked
+                ? styledText(`🔒 已鎖定: ${summary}`, '#2ecc71')
+                : styledText(`⏳ 穩定確認中: ${summary}`, '#f1c40f');
+        updateDetails(result, isRealtime ? [[header]] : [...renderPostProcessing(result), [header]]);
+    } else {
+        clearExpressionMarkers();
+        digitDisplay.innerText = "---";
+        if (isRealtime) {
+            confDetails.innerText = "等待連續穩定的數字...";
+        } else {
+            confDetails.innerText = "未偵測到有效數字";
         }
     }
     
-    return { data: result, width, height };
-}
-
-// Otsu 閾值計算 (完全移植自 OpenCV 算法)
-function calculateOtsuThreshold(grayArray) {
-    const { data } = grayArray;
-    
-    // 計算直方圖
-    const histogram = new Array(256).fill(0);
-    for (let i = 0; i < data.length; i++) {
-        histogram[data[i]]++;
-    }
-    
-    // 計算總像素數和總和
-    const total = data.length;
-    let sum = 0;
-    for (let i = 0; i < 256; i++) {
-        sum += i * histogram[i];
-    }
+    // 整串數字穩定夠久時標示鎖定
+    digitDisplay.classList.toggle('digit-locked', Boolean(isRealtime && result.locked));
     
-    let sumB = 0;
-    let wB = 0;
-    let wF = 0;
-    let maxVariance = 0;
-    let threshold = 0;
+    // 如果是即時模式，畫出偵測框 (已確認為綠色，仍在累積中為黃色虛線)
+    if (isRealtime && cameraStream && (validBoxes.length > 0 || result.rejected.length > 0)) {
+        // 清除畫布
+        ctx.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
     
-    for (let i = 0; i < 256; i++) {
-        wB += histogram[i];
-        if (wB === 0) continue;
-        
-        wF = total - wB;
-        if (wF === 0) break;
-        
-        sumB += i * histogram[i];
-        
-        const mB = sumB / wB;
-        const mF = (sum - sumB) / wF;
-        
-        // 計算類間方差
-        const variance = wB * wF * Math.pow(mB - mF, 2);
-        
-        if (variance > maxVariance) {
-            maxVariance = variance;
-            threshold = i;
-        }
-    }
+        result.rejected.forEach(item => {
+            ctx.strokeStyle = "#f1c40f";
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(item.box.x, item.box.y, item.box.w, item.box.h);
+            ctx.setLineDash([]);
+        });
     
-    return threshold;
-}
-
-// 二值化
-function binarizeImage(grayArray, threshold) {
-    const { data, width, height } = grayArray;
-    const binary = new Uint8Array(width * height);
+        // 重新繪製已確認的框框
+        validBoxes.forEach((box, index) => {
+            // 畫綠色框框 (鎖定時加粗)
+            ctx.strokeStyle = "#00FF00";
+            ctx.lineWidth = result.locked ? 5 : 3;
+            ctx.strokeRect(box.x, box.y, box.w, box.h);
+    
+            // 畫辨識到的數字和信心度
+            const detectedDigit = details[index] ? details[index].digit : "";
+            const confidence = details[index] ? details[index].conf : "";
+            ctx.fillStyle = "#00FF00";
+            ctx.font = "bold 24px Arial";
+            ctx.fillText(`${detectedDigit} (${confidence})`, box.x, box.y - 5);
+        });
     
-    for (let i = 0; i < data.length; i++) {
-        binary[i] = data[i] > threshold ? 255 : 0;
+        // 恢復畫筆設定
+        updatePen();
     }
     
-    return { data: binary, width, height };
+    return { finalResult, details, validBoxes };
 }
 
-// 連通域分析 (8-鄰居)
-function findConnectedComponents(binaryImage) {
-    const { data, width, height } = binaryImage;
-    const visited = new Array(width * height).fill(false);
-    const components = [];
-    
-    // 8方向鄰居
-    const directions = [
-        [-1, -1], [0, -1], [1, -1],
-        [-1, 0],           [1, 0],
-        [-1, 1],  [0, 1],  [1, 1]
-    ];
-    
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
+// 每行數字各佔一列
+function renderDigitLines(lines, interactive = false) {
+    digitDisplay.innerHTML = '';
+    digitCells.clear();
+    lines.forEach(line => {
+        const row = document.createElement('div');
+        row.className = 'digit-line';
+        
+        line.digits.forEach(entry => {
+            const cell = document.createElement('span');
+            cell.className = 'digit-cell';
+            cell.textContent = entryText(entry);
+            cell.classList.toggle('digit-uncertain', entry.uncertain && entry.corrected == null);
+            cell.classList.toggle('digit-corrected', entry.corrected != null);
+            digitCells.set(entry, cell);
             
-            if (!visited[idx] && data[idx] === 255) {
-                // BFS 搜尋連通域
-                const queue = [[x, y]];
-                visited[idx] = true;
-                
-                let minX = x, maxX = x, minY = y, maxY = y;
-                let area = 0;
-                const pixels = [];
-                
-                while (queue.length > 0) {
-                    const [cx, cy] = queue.shift();
-                    const cIdx = cy * width + cx;
-                    
-                    area++;
-                    pixels.push([cx, cy]);
-                    
-                    minX = Math.min(minX, cx);
-                    maxX = Math.max(maxX, cx);
-                    minY = Math.min(minY, cy);
-                    maxY = Math.max(maxY, cy);
-                    
-                    // 檢查8鄰居
-                    for (const [dx, dy] of directions) {
-                        const nx = cx + dx;
-                        const ny = cy + dy;
-                        
-                        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                            const nIdx = ny * width + nx;
-                            
-                            if (!visited[nIdx] && data[nIdx] === 255) {
-                                visited[nIdx] = true;
-                                queue.push([nx, ny]);
-                            }
-                        }
-                    }
-                }
-                
-                const w = maxX - minX + 1;
-                const h = maxY - minY + 1;
-                const aspectRatio = w / h;
-                const solidity = area / (w * h);
-                
-                components.push({
-                    x: minX,
-                    y: minY,
-                    w: w,
-                    h: h,
-                    area: area,
-                    aspectRatio: aspectRatio,
-                    solidity: solidity,
-                    pixels: pixels
+            if (interactive) {
+                cell.classList.add('digit-editable');
+                cell.title = '點選以更正';
+                cell.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    openDigitPicker(entry, cell);
                 });
             }
-        }
-    }
-    
-    return components;
+            row.appendChild(cell);
+        });
+        
+        digitDisplay.appendChild(row);
+    });
 }
 
-// 膨脹操作 (2x2 核)
-function dilateBinary(binaryImage, kernelSize = 2) {
-    const { data, width, height } = binaryImage;
-    const result = new Uint8Array(width * height);
-    
-    const half = Math.floor(kernelSize / 2);
-    
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
-            let maxVal = 0;
-            
-            // 檢查核範圍
-            for (let ky = -half; ky <= half; ky++) {
-                for (let kx = -half; kx <= half; kx++) {
-                    const nx = x + kx;
-                    const ny = y + ky;
-                    
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        const nIdx = ny * width + nx;
-                        maxVal = Math.max(maxVal, data[nIdx]);
-                    }
-                }
-            }
-            
-            result[idx] = maxVal;
-        }
-    }
-    
-    return { data: result, width, height };
+// 手動辨識與更正後的附加解讀 (算式、欄位格式)，回傳詳細資訊的各行
+function renderPostProcessing(result) {
+    return [...renderExpression(result), ...renderFieldTemplate(result)];
 }
 
-// 計算圖像矩 (用於質心計算)
-function calculateImageMoments(binaryImage) {
-    const { data, width, height } = binaryImage;
-    
-    let m00 = 0, m10 = 0, m01 = 0;
-    
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
-            if (data[idx] > 0) {
-                const value = data[idx] / 255; // 正規化到 0-1
-                m00 += value;
-                m10 += x * value;
-                m01 += y * value;
-            }
-        }
-    }
-    
-    return { m00, m10, m01 };
+// ==================== 欄位格式範本 ====================
+
+function setupTemplateSelect() {
+    const select = document.getElementById('templateSelect');
+    if (!select) return;
+    
+    const options = [['', '不套用'], ...Object.entries(FIELD_TEMPLATES).map(([id, template]) => [id, template.name])];
+    select.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }));
 }
 
-// 進階預處理 (完全移植自 p.py 的 advanced_preprocess)
-function advancedPreprocess(roiImage) {
-    const { data, width, height } = roiImage;
+function selectTemplate(event) {
+    activeTemplateId = event.target.value;
     
-    // 1. 建立二值化陣列
-    const binaryArray = new Uint8Array(width * height);
-    for (let i = 0; i < data.length; i++) {
-        binaryArray[i] = data[i] > 128 ? 255 : 0;
+    // 立即套用到目前的結果
+    if (currentResult && !cameraStream) {
+        renderDigitLines(currentResult.lines, true);
+        updateDetails(currentResult, renderPostProcessing(currentResult));
     }
-    
-    // 2. 膨脹：使用 2x2 核
-    const kernelSize = 2;
-    const halfKernel = Math.floor(kernelSize / 2);
-    const dilated = new Uint8Array(width * height);
-    
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
-            let maxVal = 0;
-            
-            for (let ky = -halfKernel; ky <= halfKernel; ky++) {
-                for (let kx = -halfKernel; kx <= halfKernel; kx++) {
-                    const nx = x + kx;
-                    const ny = y + ky;
-                    
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        const nIdx = ny * width + nx;
-                        maxVal = Math.max(maxVal, binaryArray[nIdx]);
-                    }
-                }
+}
+
+// 依範本驗證並格式化，驗證失敗時改用通過驗證的候選；標出需要確認的位置
+function renderFieldTemplate(result) {
+    const template = FIELD_TEMPLATES[activeTemplateId];
+    if (!template || !result) return [];
+    
+    const entries = result.lines.flatMap(line => line.digits);
+    const field = applyTemplate(entries, template);
+    
+    const flagged = [];
+    field.positions.forEach((position, index) => {
+        if (!position.uncertain) return;
+        flagged.push(index + 1);
+        
+        const cell = digitCells.get(position.entry);
+        if (cell) {
+            cell.classList.add('digit-flagged');
+            if (position.changed) {
+                cell.textContent = position.text;
+                cell.title = `依 ${template.name} 驗證改用候選「${position.text}」(原辨識為 ${entryText(position.entry)})，點選以更正`;
             }
-            
-            dilated[idx] = maxVal;
         }
-    }
-    
-    // 3. 動態 Padding
-    const pad = Math.floor(Math.max(height, width) * 0.45);
-    const paddedWidth = width + 2 * pad;
-    const paddedHeight = height + 2 * pad;
-    
-    const paddedData = new Uint8Array(paddedWidth * paddedHeight);
+    });
     
-    // 填充黑色背景
-    for (let i = 0; i < paddedData.length; i++) {
-        paddedData[i] = 0;
+    if (!field.formatted) {
+        return [[styledText(`📋 ${template.name}：${field.raw || '---'} ✘ ${field.error}`, '#ff4d4d')]];
     }
     
-    // 複製膨脹後的影像到中央
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const srcIdx = y * width + x;
-            const dstIdx = (y + pad) * paddedWidth + (x + pad);
-            paddedData[dstIdx] = dilated[srcIdx];
-        }
+    const line = [field.valid
+        ? styledText([`📋 ${template.name}：`, styledText(field.formatted, null, 'b'), ' ✔ 驗證通過'], '#2ecc71')
+        : styledText([`📋 ${template.name}：`, styledText(field.formatted, null, 'b'), ` ✘ ${field.error}`], '#ff4d4d')];
+    if (field.adjusted) {
+        line.push(`｜已依候選修正 (原辨識 ${field.raw})`);
     }
-    
-    // 4. 縮放至 28x28 (使用最近鄰插值)
-    const targetSize = 28;
-    const scaledData = new Uint8Array(targetSize * targetSize);
-    
-    const xRatio = paddedWidth / targetSize;
-    const yRatio = paddedHeight / targetSize;
-    
-    for (let y = 0; y < targetSize; y++) {
-        for (let x = 0; x < targetSize; x++) {
-            const srcX = Math.floor(x * xRatio);
-            const srcY = Math.floor(y * yRatio);
-            const srcIdx = srcY * paddedWidth + srcX;
-            const dstIdx = y * targetSize + x;
-            scaledData[dstIdx] = paddedData[srcIdx];
-        }
+    const lines = [line];
+    if (flagged.length > 0) {
+        lines.push([styledText(`⚠ 需確認：第 ${flagged.join('、')} 碼`, '#ffa94d')]);
     }
-    
-    // 5. 質心校正
-    const moments = calculateImageMoments({ data: scaledData, width: targetSize, height: targetSize });
-    
-    if (moments.m00 !== 0) {
-        const cx = moments.m10 / moments.m00;
-        const cy = moments.m01 / moments.m00;
-        
-        // 計算平移矩陣
-        const dx = 14 - cx;
-        const dy = 14 - cy;
-        
-        const correctedData = new Uint8Array(targetSize * targetSize);
-        
-        // 應用仿射變換
-        for (let y = 0; y < targetSize; y++) {
-            for (let x = 0; x < targetSize; x++) {
-                const srcX = Math.round(x - dx);
-                const srcY = Math.round(y - dy);
-                
-                if (srcX >= 0 && srcX < targetSize && srcY >= 0 && srcY < targetSize) {
-                    const srcIdx = srcY * targetSize + srcX;
-                    correctedData[y * targetSize + x] = scaledData[srcIdx];
-                } else {
-                    correctedData[y * targetSize + x] = 0;
-                }
-            }
-        }
+    return lines;
+}
+
+// ==================== 算式模式 ====================
+
+function toggleExpressionMode() {
+    isExpressionMode = !isExpressionMode;
+    const exprBtn = document.getElementById('exprBtn');
+    if (exprBtn) {
+        exprBtn.innerText = isExpressionMode ? "🧮 算式模式：開啟" : "🧮 算式模式：關閉";
+        exprBtn.classList.toggle('expression-active', isExpressionMode);
+    }
+    clearExpressionMarkers();
+    
+    if (isExpressionMode) {
+        // 目前模型若只認得數字，提醒切換模型
+        const labels = modelRegistry.active ? modelRegistry.active.metadata.labels : [];
+        const hasOperators = labels.some(label => ['+', '−', '×', '÷'].includes(label));
+        confDetails.innerText = hasOperators
+            ? "🧮 算式模式已開啟：寫下算式後按「開始辨識」"
+            : "🧮 算式模式已開啟：目前模型只認得數字，請切換到含運算符號 (+ − × ÷) 的模型";
+        addVisualFeedback("#f39c12");
+    }
+}
+
+// 逐行解析並求值，回傳詳細資訊的各行；錯誤時標出出問題的符號
+function renderExpression(result) {
+    clearExpressionMarkers();
+    if (!isExpressionMode || !result) return [];
+    
+    const multiLine = result.lines.length > 1;
+    return result.lines.map((line, lineIndex) => {
+        const solved = solveExpression(line.digits);
+        const prefix = multiLine ? `第 ${lineIndex + 1} 行 ` : '';
         
-        // 6. 歸一化到 0-1 範圍
-        const normalizedData = new Float32Array(targetSize * targetSize);
-        for (let i = 0; i < correctedData.length; i++) {
-            normalizedData[i] = correctedData[i] / 255.0;
+        if (solved.error) {
+            solved.error.entries.forEach(entry => {
+                const cell = digitCells.get(entry);
+                if (cell) cell.classList.add('digit-error');
+            });
+            if (solved.error.box) addExpressionMarker(solved.error.box);
+            return [styledText(`🧮 ${prefix}${solved.text}：${solved.error.message}`, '#ff4d4d')];
         }
         
-        return normalizedData;
-    } else {
-        // 如果 m00 為 0，直接返回縮放後的數據
-        const normalizedData = new Float32Array(targetSize * targetSize);
-        for (let i = 0; i < scaledData.length; i++) {
-            normalizedData[i] = scaledData[i] / 255.0;
+        const parts = [styledText([`🧮 ${prefix}${solved.parsed} = `, styledText(formatNumber(solved.value), null, 'b')], '#a3d9ff')];
+        if (solved.answer != null) {
+            parts.push(' ', solved.correct
+                ? styledText('✔ 答對了', '#2ecc71')
+                : styledText(`✘ 寫的是 ${formatNumber(solved.answer)}`, '#ff4d4d'));
         }
-        
-        return normalizedData;
-    }
+        return parts;
+    });
 }
 
-// ==================== 新增：移植自 Python app.py 的鏡頭辨識核心 ====================
+// 在畫布上框出出問題的符號 (邏輯座標換算成百分比)
+function addExpressionMarker(box) {
+    const container = document.getElementById('expression-markers');
+    if (!container) return;
+    
+    const marker = document.createElement('div');
+    marker.className = 'marker';
+    marker.style.left = `${(box.x - 6) / LOGICAL_WIDTH * 100}%`;
+    marker.style.top = `${(box.y - 6) / LOGICAL_HEIGHT * 100}%`;
+    marker.style.width = `${(box.w + 12) / LOGICAL_WIDTH * 100}%`;
+    marker.style.height = `${(box.h + 12) / LOGICAL_HEIGHT * 100}%`;
+    container.appendChild(marker);
+}
 
-// 中值模糊 (移植自 Python 的 cv2.medianBlur)
-function medianBlur(grayArray, kernelSize = 5) {
-    const { data, width, height } = grayArray;
-    const result = new Uint8Array(width * height);
-    const radius = Math.floor(kernelSize / 2);
+function clearExpressionMarkers() {
+    const container = document.getElementById('expression-markers');
+    if (container) container.replaceChildren();
+}
+
+// ==================== 逐位更正 ====================
+
+// 在數字下方開啟候選選單：前三名候選 + 模型的完整標籤集
+function openDigitPicker(entry, cell) {
+    closeDigitPicker();
+    
+    const picker = document.createElement('div');
+    picker.id = 'digit-picker';
+    
+    const title = document.createElement('div');
+    title.className = 'picker-title';
+    title.textContent = entry.uncertain ? '信心度不足，請選擇正確數字' : '選擇正確數字';
+    picker.appendChild(title);
+    
+    const candidates = document.createElement('div');
+    candidates.className = 'picker-candidates';
+    entry.topK.forEach(candidate => {
+        const option = document.createElement('button');
+        option.className = 'picker-option';
+        option.append(
+            styledText(candidate.label, null, 'b'),
+            styledText(`${(candidate.probability * 100).toFixed(1)}%`, null, 'small')
+        );
+        option.addEventListener('click', () => correctDigit(entry, candidate.digit));
+        candidates.appendChild(option);
+    });
+    picker.appendChild(candidates);
+    
+    const allDigits = document.createElement('div');
+    allDigits.className = 'picker-all';
+    currentResult.labels.forEach((label, index) => {
+        const option = document.createElement('button');
+        option.className = 'picker-digit';
+        option.textContent = label;
+        option.addEventListener('click', () => correctDigit(entry, index));
+        allDigits.appendChild(option);
+    });
+    picker.appendChild(allDigits);
     
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const values = [];
-            
-            // 收集核內的所有值
-            for (let ky = -radius; ky <= radius; ky++) {
-                for (let kx = -radius; kx <= radius; kx++) {
-                    const nx = x + kx;
-                    const ny = y + ky;
-                    
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        const idx = ny * width + nx;
-                        values.push(data[idx]);
-                    }
-                }
-            }
-            
-            // 計算中值
-            values.sort((a, b) => a - b);
-            const median = values[Math.floor(values.length / 2)];
-            result[y * width + x] = median;
-        }
-    }
+    // 定位在被點選的數字下方
+    const area = document.getElementById('result-area');
+    const areaRect = area.getBoundingClientRect();
+    const cellRect = cell.getBoundingClientRect();
+    picker.style.left = `${cellRect.left - areaRect.left + cellRect.width / 2}px`;
+    picker.style.top = `${cellRect.bottom - areaRect.top + 8}px`;
     
-    return { data: result, width, height };
+    picker.addEventListener('click', (e) => e.stopPropagation());
+    area.appendChild(picker);
+}
+
+function closeDigitPicker() {
+    const picker = document.getElementById('digit-picker');
+    if (picker) picker.remove();
 }
 
-// 自適應閾值 (移植自 Python 的 cv2.adaptiveThreshold)
-function adaptiveThreshold(grayArray, blockSize = 31, C = 12) {
-    const { data, width, height } = grayArray;
-    const result = new Uint8Array(width * height);
-    const radius = Math.floor(blockSize / 2);
+// 套用使用者選擇的類別 (索引) 並更新顯示
+function correctDigit(entry, digit) {
+    closeDigitPicker();
+    if (!currentResult) return;
+    
+    entry.correctedIndex = digit;
+    entry.corrected = currentResult.labels[digit];
+    currentResult.text = resultText(currentResult);
+    currentResult.lines.forEach(line => {
+        line.text = line.digits.map(entryText).join('');
+    });
     
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            let sum = 0;
-            let count = 0;
-            
-            // 計算局部平均值
-            for (let ky = -radius; ky <= radius; ky++) {
-                for (let kx = -radius; kx <= radius; kx++) {
-                    const nx = x + kx;
-                    const ny = y + ky;
-                    
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        const idx = ny * width + nx;
-                        sum += data[idx];
-                        count++;
-                    }
-                }
-            }
-            
-            const mean = sum / count;
-            const threshold = mean - C;
-            
-            // 二值化取反 (THRESH_BINARY_INV)
-            result[y * width + x] = data[y * width + x] > threshold ? 0 : 255;
+    renderDigitLines(currentResult.lines, true);
+    const summary = currentResult.lines.map(line => line.text).join(' / ');
+    updateDetails(currentResult, [...renderPostProcessing(currentResult), [styledText(`✏️ 已更正: ${summary}`, '#2ecc71')]]);
+    addVisualFeedback("#2ecc71");
+    onDigitCorrected(entry, digit);
+}
+
+// 更正後的擴充點：保存為訓練樣本
+function onDigitCorrected(entry, digit) {
+    console.log(`數字已更正: ${entry.label} → ${entry.corrected} (原信心度 ${(entry.confidence * 100).toFixed(1)}%)`);
+    saveCorrectionSample(entry, digit);
+}
+
+// ==================== 標註樣本收集與匯出 ====================
+
+// 將更正後的 28x28 輸入與正確標籤存入 IndexedDB
+async function saveCorrectionSample(entry, digit) {
+    if (!entry.input) return;
+    
+    const sample = {
+        pixels: denormalizeToUint8(entry.input, entry.normalization),
+        label: digit,
+        labelText: entry.corrected,
+        predicted: entry.digit,
+        confidence: entry.confidence,
+        source: currentResult ? currentResult.mode : 'handwriting',
+        normalization: entry.normalization || 'unit',
+        createdAt: Date.now()
+    };
+    
+    try {
+        // 同一個數字再次更正時覆寫原本的樣本
+        if (entry.sampleId != null) {
+            await sampleStore.put({ ...sample, id: entry.sampleId });
+        } else {
+            entry.sampleId = await sampleStore.add(sample);
         }
+        await refreshSampleCount();
+    } catch (error) {
+        console.error('樣本儲存失敗:', error);
     }
+}
+
+async function refreshSampleCount() {
+    const label = document.getElementById('sample-count');
+    if (!label) return;
     
-    return { data: result, width, height };
+    try {
+        const count = await sampleStore.count();
+        label.innerText = `📚 已收集樣本：${count}`;
+    } catch (error) {
+        label.innerText = '📚 樣本收集不可用';
+        console.log('IndexedDB 不可用:', error);
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
-// Python 風格的 ROI 預處理 (專門為數字1優化)
-function pythonStylePreprocess(roiBinary, originalBox) {
-    const { data, width, height } = roiBinary;
+async function loadSamplesForExport() {
+    const samples = await sampleStore.getAll();
+    if (samples.length === 0) {
+        confDetails.innerText = "尚未收集任何樣本，請先點選數字進行更正";
+        return null;
+    }
     
-    // 【重要修正：救回數字1的核心邏輯】
-    // 不要直接resize，而是先建立一個「正方形黑底」，將數字置中
-    // 這樣瘦長的 "1" 才不會被拉成一個充滿格子的正方形
+    // 類別索引依目前模型的標籤集換算，不在此標籤集中的樣本略過
+    const usable = remapSamples(samples, modelRegistry.active.metadata.labels);
+    if (usable.length === 0) {
+        confDetails.innerText = "沒有符合目前模型標籤集的樣本";
+        return null;
+    }
+    return usable;
+}
+
+// 匯出 MNIST 相容的 IDX 檔案組 (images + labels)
+async function exportSamplesIdx() {
+    const samples = await loadSamplesForExport();
+    if (!samples) return;
+    
+    downloadBlob(new Blob([encodeIdxImages(samples)]), 'user-images-idx3-ubyte');
+    downloadBlob(new Blob([encodeIdxLabels(samples)]), 'user-labels-idx1-ubyte');
+    confDetails.innerText = `💾 已匯出 ${samples.length} 筆樣本 (IDX 格式)`;
+    addVisualFeedback("#3498db");
+}
+
+// 匯出 JSON 描述檔 + PNG 精靈圖
+async function exportSamplesSprite() {
+    const samples = await loadSamplesForExport();
+    if (!samples) return;
+    
+    const { image, manifest } = createSpriteBundle(samples);
+    const spriteCanvas = document.createElement('canvas');
+    spriteCanvas.width = image.width;
+    spriteCanvas.height = image.height;
+    spriteCanvas.getContext('2d').putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+    
+    manifest.sprite = 'user-samples.png';
+    manifest.labels = modelRegistry.active.metadata.labels;
+    spriteCanvas.toBlob(blob => downloadBlob(blob, 'user-samples.png'), 'image/png');
+    downloadBlob(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), 'user-samples.json');
+    confDetails.innerText = `🖼️ 已匯出 ${samples.length} 筆樣本 (JSON + PNG)`;
+    addVisualFeedback("#3498db");
+}
+
+async function clearSamples() {
+    if (!confirm("確定要刪除所有已收集的樣本嗎？")) return;
     
-    // 1. 找到最大邊長
-    const size = Math.max(width, height);
+    await sampleStore.clear();
+    await refreshSampleCount();
+    addVisualFeedback("#e74c3c");
+}
+
+// ==================== 模型切換與 A/B 比較 ====================
+
+// 重建「使用模型」與「A/B 比較」兩個下拉選單
+function refreshModelSelectors() {
+    const modelSelect = document.getElementById('modelSelect');
+    const compareSelect = document.getElementById('compareSelect');
+    if (!modelSelect || !compareSelect) return;
+    
+    const entries = modelRegistry.list();
+    if (compareModelId && !modelRegistry.get(compareModelId)) {
+        compareModelId = null;
+    }
     
-    // 2. 增加40%的留白，模仿MNIST數據集 (Python版是0.4)
-    const pad = Math.floor(size * 0.4);
+    const option = (value, label, selected) => {
+        const element = document.createElement('option');
+        element.value = value;
+        element.textContent = label;
+        element.selected = selected;
+        return element;
+    };
     
-    // 3. 建立正方形黑底
-    const squareSize = size + pad * 2;
-    const squareData = new Uint8Array(squareSize * squareSize);
+    modelSelect.replaceChildren(...entries.map(entry =>
+        option(entry.id, entry.name, entry.id === modelRegistry.activeId)
+    ));
+    compareSelect.replaceChildren(
+        option('', '關閉', !compareModelId),
+        ...entries
+            .filter(entry => entry.id !== modelRegistry.activeId)
+            .map(entry => option(entry.id, entry.name, entry.id === compareModelId))
+    );
+    
+    // 原始模型不可移除
+    const removeButton = document.getElementById('removeModelBtn');
+    if (removeButton) removeButton.disabled = modelRegistry.activeId === SHIPPED_MODEL_ID;
+}
+
+// 切換使用中的模型；鏡頭 Worker 一併換成新模型
+function activateModel(id) {
+    const entry = modelRegistry.setActive(id);
+    if (compareModelId === entry.id) compareModelId = null;
+    
+    refreshModelSelectors();
+    reloadCameraWorker();
+    return entry;
+}
+
+function switchModel(event) {
+    const entry = activateModel(event.target.value);
+    renderComparison(null);
+    confDetails.innerText = `🧠 已切換至：${entry.name}`;
+    addVisualFeedback("#9b59b6");
+}
+
+function selectCompareModel(event) {
+    compareModelId = event.target.value || null;
+    if (!compareModelId) renderComparison(null);
+}
+
+async function loadModelFromUrlPrompt() {
+    const url = prompt("請輸入 model.json 的網址：");
+    if (!url) return;
     
-    // 全部設為0 (黑色背景)
-    for (let i = 0; i < squareData.length; i++) {
-        squareData[i] = 0;
-    }
+    await registerModel(() => modelRegistry.loadFromUrl(url.trim()));
+}
+
+function triggerModelFiles() {
+    const input = document.getElementById('modelFileInput');
+    if (input) input.click();
+}
+
+async function handleModelFiles(event) {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
     
-    // 4. 計算置中偏移
-    const offX = (size - width) / 2 + pad;
-    const offY = (size - height) / 2 + pad;
+    await registerModel(() => modelRegistry.loadFromFiles(files));
+    event.target.value = '';
+}
+
+// 載入新模型並設為使用中
+async function registerModel(load) {
+    confDetails.innerText = "🌌 正在載入模型...";
+    try {
+        const entry = activateModel((await load()).id);
+        const patches = entry.patches.map(patch => patch.name).join(', ');
+        confDetails.innerText = `✅ 已載入模型：${entry.name} (${entry.metadata.labels.length} 類)` +
+            (patches ? `｜相容性修補：${patches}` : '');
+        addVisualFeedback("#2ecc71");
+    } catch (error) {
+        console.error('模型載入失敗:', error);
+        confDetails.innerText = `❌ 模型載入失敗：${error.message}`;
+    }
+}
+
+async function removeActiveModel() {
+    const entry = modelRegistry.active;
+    if (!entry || entry.id === SHIPPED_MODEL_ID) return;
     
-    // 5. 將ROI複製到正方形中央
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const srcIdx = y * width + x;
-            const dstIdx = Math.floor(y + offY) * squareSize + Math.floor(x + offX);
-            squareData[dstIdx] = data[srcIdx];
-        }
+    // 微調模型走還原流程 (一併刪除 IndexedDB 權重)
+    if (entry.id === ADAPTED_MODEL_URL) {
+        await resetToShippedModel();
+        return;
     }
+    if (!confirm(`確定要移除模型「${entry.name}」嗎？`)) return;
     
-    // 6. 縮放到28x28 (使用最近鄰插值)
-    const targetSize = 28;
-    const scaledData = new Uint8Array(targetSize * targetSize);
+    await modelRegistry.remove(entry.id);
+    activateModel(SHIPPED_MODEL_ID);
+    confDetails.innerText = `🗑️ 已移除模型：${entry.name}`;
+}
+
+// 以 B 模型辨識同一張影像，與目前結果並排顯示 (傳入 null 時隱藏)
+async function renderComparison(imageData, options, resultA) {
+    const container = document.getElementById('ab-compare');
+    if (!container) return;
+    
+    const entryA = modelRegistry.active;
+    const entryB = compareModelId ? modelRegistry.get(compareModelId) : null;
+    if (!imageData || !entryB || entryB === entryA) {
+        container.style.display = 'none';
+        return;
+    }
     
-    const xRatio = squareSize / targetSize;
-    const yRatio = squareSize / targetSize;
+    const resultB = await recognize(imageData, {
+        ...options,
+        model: entryB.model,
+        normalization: entryB.metadata.normalization,
+        preprocessing: entryB.metadata.preprocessing,
+        labels: entryB.metadata.labels
+    });
     
-    for (let y = 0; y < targetSize; y++) {
-        for (let x = 0; x < targetSize; x++) {
-            const srcX = Math.floor(x * xRatio);
-            const srcY = Math.floor(y * yRatio);
-            const srcIdx = srcY * squareSize + srcX;
-            const dstIdx = y * targetSize + x;
-            scaledData[dstIdx] = squareData[srcIdx];
-        }
-    }
+    const column = (entry, result, other) => {
+        const all = result.lines.flatMap(line => line.digits);
+        const mean = all.length > 0
+            ? all.reduce((sum, item) => sum + item.confidence, 0) / all.length
+            : 0;
+        const text = styledText(result.text || '---', null, 'div');
+        text.className = result.text === other.text ? 'ab-text' : 'ab-text ab-diff';
+        
+        const columnElement = document.createElement('div');
+        columnElement.className = 'ab-column';
+        columnElement.append(
+            styledText(entry.name, null, 'b'),
+            document.createElement('br'),
+            text,
+            `平均信心度: ${(mean * 100).toFixed(1)}%｜低信心度: ${result.rejected.length}`
+        );
+        return columnElement;
+    };
     
-    // 7. 歸一化到0-1範圍 (使用MNIST的標準化參數)
-    const normalizedData = new Float32Array(targetSize * targetSize);
-    for (let i = 0; i < scaledData.length; i++) {
-        // 使用MNIST標準化: (x/255.0 - 0.1307) / 0.3081
-        normalizedData[i] = (scaledData[i] / 255.0 - 0.1307) / 0.3081;
+    container.replaceChildren(column(entryA, resultA, resultB), column(entryB, resultB, resultA));
+    container.style.display = '';
+}
+
+// ==================== 本機模型微調 ====================
+
+// 模型更換後，鏡頭 Worker 需要重新載入
+function reloadCameraWorker() {
+    cameraTracker.reset();
+    if (!cameraWorker) return;
+    stopCameraWorker();
+    if (cameraStream) {
+        startCameraWorker();
+        scheduleRealtime();
     }
-    
-    return normalizedData;
 }
 
-// ==================== 主辨識函數 (整合Python版鏡頭辨識邏輯) ====================
-async function predict(isRealtime = false) {
-    // 防止重複處理
-    if (isProcessing || !model) return;
-    isProcessing = true;
+// 以收集到的樣本微調目前模型的最後幾層 Dense，完成後存入 IndexedDB
+async function adaptModel() {
+    const source = modelRegistry.active;
+    if (!source || isTraining) return;
     
+    const samples = await sampleStore.getAll();
+    isTraining = true;
+    confDetails.innerText = `🧠 正在以 ${samples.length} 筆樣本微調模型...`;
+    
+    // 微調的是副本，來源模型保持不變
+    let trained = null;
     try {
-        // 顯示載入狀態
-        if (!isRealtime) {
-            digitDisplay.innerHTML = '<span class="pulse-icon">🌠</span>';
-            confDetails.innerText = "正在分析影像...";
-        }
-        
-        // 獲取畫布影像
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = canvas.width;
-        tempCanvas.height = canvas.height;
-        const tempCtx = tempCanvas.getContext('2d');
-        
-        // 如果有相機串流，先繪製相機影像
-        if (cameraStream) {
-            tempCtx.drawImage(video, 0, 0, canvas.width, canvas.height);
-        }
-        // 繪製手寫畫布
-        tempCtx.drawImage(canvas, 0, 0);
-        
-        // 獲取影像數據
-        const imageData = tempCtx.getImageData(0, 0, canvas.width, canvas.height);
-        
-        let finalResult = "";
-        const details = [];
-        const validBoxes = [];
-        
-        // =========== 根據模式選擇處理方式 ===========
-        if (isRealtime && cameraStream) {
-            // =========== 鏡頭辨識模式 (使用Python移植邏輯) ===========
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // 1. 轉為灰階
-            const grayImage = imageDataToGrayArray(imageData);
-            
-            // 2. 中值模糊 (移植自Python的cv2.medianBlur(gray, 5))
-            const blurred = medianBlur(grayImage, 5);
-            
-            // 3. 自適應閾值二值化 (移植自Python的adaptiveThreshold)
-            // 使用高斯自適應，區塊大小31，常數12 (Python版參數)
-            const binaryImage = adaptiveThreshold(blurred, 31, 12);
-            
-            // 4. 輕微膨脹：補強數字1的線條連貫性 (Python版是2x2核，迭代1次)
-            const dilated = dilateBinary(binaryImage, 2);
-            
-            // 5. 尋找連通域
-            const components = findConnectedComponents(dilated);
-            
-            // 6. 過濾條件 (移植自Python版的過濾邏輯)
-            const foundComponents = [];
-            
-            // 計算中心熱區
-            const hotZoneLeft = 0.2 * width;
-            const hotZoneRight = 0.8 * width;
-            const hotZoneTop = 0.2 * height;
-            const hotZoneBottom = 0.8 * height;
-            
-            // 計算面積範圍
-            const totalPixels = width * height;
-            const minArea = totalPixels * 0.002;  // 0.2%
-            const maxArea = totalPixels * 0.2;    // 20%
-            
-            for (const comp of components) {
-                // 計算中心點
-                const centerX = comp.x + comp.w / 2;
-                const centerY = comp.y + comp.h / 2;
-                
-                // 檢查是否在中心熱區
-                const inHotZone = (centerX > hotZoneLeft && centerX < hotZoneRight && 
-                                 centerY > hotZoneTop && centerY < hotZoneBottom);
-                
-                // 檢查面積範圍
-                const areaOK = (comp.area > minArea && comp.area < maxArea);
-                
-                // 檢查寬高比 (Python版放寬到0.05-1.2以捕捉瘦長的1)
-                const aspectRatio = comp.w / comp.h;
-                const aspectRatioOK = (aspectRatio > 0.05 && aspectRatio < 1.2);
-                
-                if (inHotZone && areaOK && aspectRatioOK) {
-                    foundComponents.push(comp);
-                }
-            }
-            
-            // 7. 按x座標排序 (由左到右)
-            foundComponents.sort((a, b) => a.x - b.x);
-            
-            // 8. 對每個區域進行辨識
-            for (const comp of foundComponents) {
-                // 提取ROI數據
-                const roiData = {
-                    data: new Uint8Array(comp.w * comp.h),
-                    width: comp.w,
-                    height: comp.h
-                };
-                
-                // 從二值化影像中提取ROI
-                for (let y = 0; y < comp.h; y++) {
-                    for (let x = 0; x < comp.w; x++) {
-                        const srcX = comp.x + x;
-                        const srcY = comp.y + y;
-                        const srcIdx = srcY * width + srcX;
-                        const dstIdx = y * comp.w + x;
-                        roiData.data[dstIdx] = dilated.data[srcIdx];
-                    }
-                }
-                
-                // 使用Python風格的預處理 (專門優化數字1)
-                const processedData = pythonStylePreprocess(roiData, comp);
-                
-                // 轉換為Tensor並預測
-                const tensor = tf.tensor4d(processedData, [1, 28, 28, 1]);
-                const prediction = model.predict(tensor);
-                const scores = await prediction.data();
-                const digit = prediction.argMax(-1).dataSync()[0];
-                const confidence = Math.max(...scores);
-                
-                tensor.dispose();
-                prediction.dispose();
-                
-                // =========== 修改這裡：信心度過濾從 0.70 提高到 0.93 ===========
-                if (confidence > 0.93) {  // 從 0.70 改為 0.93
-                    finalResult += digit.toString();
-                    details.push({
-                        digit: digit,
-                        conf: `${(confidence * 100).toFixed(1)}%`,
-                        rawConfidence: confidence
-                    });
-                    
-                    validBoxes.push({
-                        x: comp.x,
-                        y: comp.y,
-                        w: comp.w,
-                        h: comp.h
-                    });
-                } else {
-                    // 記錄低信心度的偵測
-                    console.log(`跳過數字 ${digit}，信心度 ${(confidence*100).toFixed(1)}% < 93%`);
-                }
-            }
-            
-            // 9. 畫出中心熱區 (白色邊框)
-            ctx.strokeStyle = "#FFFFFF";
-            ctx.lineWidth = 1;
-            ctx.strokeRect(hotZoneLeft, hotZoneTop, hotZoneRight - hotZoneLeft, hotZoneBottom - hotZoneTop);
-            
-        } else {
-            // =========== 手寫辨識模式 (使用原有邏輯) ===========
-            // 1. 轉為灰階
-            const grayImage = imageDataToGrayArray(imageData);
-            
-            // 2. 背景反轉檢測
-            const avgBrightness = calculateAverageBrightness(grayImage);
-            let processedGray = grayImage;
-            
-            if (avgBrightness > 120) {
-                processedGray = invertBackground(grayImage);
-            }
-            
-            // 3. 高斯模糊 (去噪)
-            const blurred = simpleGaussianBlur(processedGray);
-            
-            // 4. Otsu 二值化
-            const otsuThreshold = calculateOtsuThreshold(blurred);
-            const binaryImage = binarizeImage(blurred, otsuThreshold);
-            
-            // 5. 連通域分析
-            const components = findConnectedComponents(binaryImage);
-            
-            // 6. 過濾連通域
-            const MIN_AREA = isRealtime ? 500 : 150;
-            const filteredComponents = [];
-            
-            for (const comp of components) {
-                // 1. 面積過小則視為雜訊
-                if (comp.area < MIN_AREA) continue;
-                
-                // 2. 排除過於細長或寬大的線條
-                if (comp.aspectRatio > 2.5 || comp.aspectRatio < 0.15) continue;
-                
-                // 3. Solidity (填滿率) 檢查
-                if (comp.solidity < 0.15) continue;
-                
-                // 4. 邊緣無效區過濾
-                const border = 8;
-                if (comp.x < border || comp.y < border || 
-                    (comp.x + comp.w) > (canvas.width - border) || 
-                    (comp.y + comp.h) > (canvas.height - border)) {
-                    if (comp.area < 1000) continue;
-                }
-                
-                filteredComponents.push(comp);
-            }
-            
-            // 排序 (由左至右)
-            filteredComponents.sort((a, b) => a.x - b.x);
-            
-            // 7. 對每個區域進行辨識
-            for (const comp of filteredComponents) {
-                // 提取 ROI 數據
-                const roiData = {
-                    data: new Uint8Array(comp.w * comp.h),
-                    width: comp.w,
-                    height: comp.h
-                };
-                
-                // 從二值化影像中提取 ROI
-                for (let y = 0; y < comp.h; y++) {
-                    for (let x = 0; x < comp.w; x++) {
-                        const srcX = comp.x + x;
-                        const srcY = comp.y + y;
-                        const srcIdx = srcY * canvas.width + srcX;
-                        const dstIdx = y * comp.w + x;
-                        roiData.data[dstIdx] = binaryImage.data[srcIdx];
-                    }
-                }
-                
-                // 連體字切割邏輯
-                if (comp.w > comp.h * 1.3) {
-                    // 水平投影
-                    const projection = new Array(comp.w).fill(0);
-                    for (let x = 0; x < comp.w; x++) {
-                        for (let y = 0; y < comp.h; y++) {
-                            const idx = y * comp.w + x;
-                            if (roiData.data[idx] === 255) {
-                                projection[x]++;
-                            }
-                        }
-                    }
-                    
-                    // 找到分割點 (在寬度的 30%-70% 之間尋找最小值)
-                    const start = Math.floor(comp.w * 0.3);
-                    const end = Math.floor(comp.w * 0.7);
-                    let minVal = comp.h + 1;
-                    let splitX = start;
-                    
-                    for (let x = start; x < end; x++) {
-                        if (projection[x] < minVal) {
-                            minVal = projection[x];
-                            splitX = x;
-                        }
-                    }
-                    
-                    // 分割成兩個子區域
-                    const subRegions = [
-                        { x: 0, w: splitX, h: comp.h },
-                        { x: splitX, w: comp.w - splitX, h: comp.h }
-                    ];
-                    
-                    for (const subRegion of subRegions) {
-                        if (subRegion.w < 5) continue;
-                        
-                        // 提取子區域
-                        const subData = {
-                            data: new Uint8Array(subRegion.w * subRegion.h),
-                            width: subRegion.w,
-                            height: subRegion.h
-                        };
-                        
-                        for (let y = 0; y < subRegion.h; y++) {
-                            for (let x = 0; x < subRegion.w; x++) {
-                                const srcX = subRegion.x + x;
-                                const srcIdx = y * comp.w + srcX;
-                                const dstIdx = y * subRegion.w + x;
-                                subData.data[dstIdx] = roiData.data[srcIdx];
-                            }
-                        }
-                        
-                        // 進階預處理
-                        const processedData = advancedPreprocess(subData);
-                        
-                        // 轉換為 Tensor 並預測
-                        const tensor = tf.tensor4d(processedData, [1, 28, 28, 1]);
-                        const prediction = model.predict(tensor);
-                        const scores = await prediction.data();
-                        const digit = prediction.argMax(-1).dataSync()[0];
-                        const confidence = Math.max(...scores);
-                        
-                        tensor.dispose();
-                        prediction.dispose();
-                        
-                        if (confidence > 0.8) {
-                            finalResult += digit.toString();
-                            details.push({
-                                digit: digit,
-                                conf: `${(confidence * 100).toFixed(1)}%`
-                            });
-                        }
-                    }
-                    
-                    continue;
-                }
-                
-                // 一般數字預測
-                // 進階預處理
-                const processedData = advancedPreprocess(roiData);
-                
-                // 轉換為 Tensor 並預測
-                const tensor = tf.tensor4d(processedData, [1, 28, 28, 1]);
-                const prediction = model.predict(tensor);
-                const scores = await prediction.data();
-                const digit = prediction.argMax(-1).dataSync()[0];
-                const confidence = Math.max(...scores);
-                
-                tensor.dispose();
-                prediction.dispose();
-                
-                // 信心度過濾 (手寫模式保持 0.8)
-                if (confidence > 0.8) {
-                    finalResult += digit.toString();
-                    details.push({
-                        digit: digit,
-                        conf: `${(confidence * 100).toFixed(1)}%`
-                    });
-                    
-                    validBoxes.push({
-                        x: comp.x,
-                        y: comp.y,
-                        w: comp.w,
-                        h: comp.h
-                    });
-                }
-            }
-        }
-        
-        // 8. 更新顯示
-        if (finalResult) {
-            digitDisplay.innerText = finalResult;
-            
-            // 添加動畫效果
-            digitDisplay.style.transform = "scale(1.2)";
-            setTimeout(() => {
-                digitDisplay.style.transform = "scale(1)";
-            }, 300);
-            
-            // 視覺回饋
-            addVisualFeedback("#2ecc71");
-            
-            // 更新詳細資訊
-            updateDetails(details);
-            
-            if (isRealtime) {
-                confDetails.innerHTML = `<span style="color:#2ecc71">✅ 高信心度辨識: ${finalResult} (信心度 > 93%)</span>`;
-            } else {
-                confDetails.innerHTML = `<span style="color:#2ecc71">✅ 辨識完成: ${finalResult}</span>`;
-            }
-        } else {
-            digitDisplay.innerText = "---";
-            if (isRealtime) {
-                confDetails.innerText = "等待高信心度數字 (>93%)...";
-            } else {
-                confDetails.innerText = "未偵測到有效數字";
+        const summary = await fineTuneModel(source.model, samples, {
+            labels: source.metadata.labels,
+            onEpochEnd: (epoch, logs) => {
+                confDetails.innerText = `🧠 微調中… 第 ${epoch + 1} 輪 | 驗證損失 ${logs.val_loss.toFixed(4)}`;
             }
-        }
+        });
         
-        // 9. 如果是即時模式，畫出偵測框 (只顯示信心度 > 93% 的)
-        if (isRealtime && cameraStream && validBoxes.length > 0) {
-            // 清除畫布
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            
-            // 重新繪製框框 (只繪製信心度 > 93% 的)
-            validBoxes.forEach((box, index) => {
-                // 畫綠色框框
-                ctx.strokeStyle = "#00FF00";
-                ctx.lineWidth = 3;
-                ctx.strokeRect(box.x, box.y, box.w, box.h);
-                
-                // 畫辨識到的數字和信心度
-                const detectedDigit = details[index] ? details[index].digit : "";
-                const confidence = details[index] ? details[index].conf : "";
-                ctx.fillStyle = "#00FF00";
-                ctx.font = "bold 24px Arial";
-                ctx.fillText(`${detectedDigit} (${confidence})`, box.x, box.y - 5);
-            });
-            
-            // 恢復畫筆設定
-            updatePen();
-        }
+        // 中繼資料隨權重一起保存
+        trained = summary.model;
+        trained.setUserDefinedMetadata({ ...source.metadata, name: '本機微調模型' });
+        await saveAdaptedModel(trained);
         
-        isProcessing = false;
-        return {
-            full_digit: finalResult,
-            details: details,
-            boxes: validBoxes
-        };
+        // 登錄為微調模型 (來源本身是微調模型時取代並釋放它)
+        modelRegistry.add({
+            id: ADAPTED_MODEL_URL,
+            name: '本機微調模型',
+            url: ADAPTED_MODEL_URL,
+            source: 'indexeddb',
+            model: trained,
+            metadata: source.metadata
+        });
+        activateModel(ADAPTED_MODEL_URL);
         
+        const accuracy = summary.valAccuracy != null ? `${(summary.valAccuracy * 100).toFixed(1)}%` : '—';
+        confDetails.innerText = `✅ 微調完成：${summary.epochs} 輪 | 驗證準確率 ${accuracy}`;
+        addVisualFeedback("#2ecc71");
     } catch (error) {
-        console.error("辨識錯誤:", error);
-        digitDisplay.innerText = "❌";
-        confDetails.innerHTML = `<b>錯誤：</b>${error.message}`;
-        addVisualFeedback("#e74c3c");
-        isProcessing = false;
-        return { error: error.message };
+        console.error('模型微調失敗:', error);
+        if (trained && modelRegistry.get(ADAPTED_MODEL_URL)?.model !== trained) {
+            trained.dispose();
+        }
+        confDetails.innerText = `❌ 微調失敗：${error.message}`;
+    } finally {
+        isTraining = false;
     }
 }
 
-// ==================== UI 功能 ====================
+// 刪除本機微調權重並切回隨附模型
+async function resetToShippedModel() {
+    if (isTraining) return;
+    if (!confirm("確定要捨棄微調結果並還原為原始模型嗎？")) return;
+    
+    try {
+        await removeAdaptedModel();
+        await modelRegistry.remove(ADAPTED_MODEL_URL);
+        activateModel(SHIPPED_MODEL_ID);
+        
+        confDetails.innerText = "↩️ 已還原為原始模型";
+        addVisualFeedback("#3498db");
+    } catch (error) {
+        console.error('還原模型失敗:', error);
+        confDetails.innerText = `❌ 還原失敗：${error.message}`;
+    }
+}
 
 // 添加銀河主題效果
 function addGalaxyEffects() {
@@ -1116,16 +982,16 @@ function addGalaxyEffects() {
     }, 500);
 }
 
-// 更新畫筆設定
-function updatePen() {
+// 更新畫筆設定 (pressure 為觸控筆筆壓，未提供時使用預設筆寬)
+function updatePen(pressure) {
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
     if (isEraser) {
         ctx.strokeStyle = "black";
-        ctx.lineWidth = 40;
+        ctx.lineWidth = ERASER_WIDTH;
     } else {
         ctx.strokeStyle = "white";
-        ctx.lineWidth = 15;
+        ctx.lineWidth = pressureWidth(PEN_WIDTH, pressure);
     }
 }
 
@@ -1146,10 +1012,13 @@ function toggleEraser() {
 
 // 清除畫布
 function clearCanvas() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    clearExpressionMarkers();
+    strokeModel.clear();
+    hasRasterContent = false;
+    ctx.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
     if (!cameraStream) {
         ctx.fillStyle = "black";
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
     }
     digitDisplay.innerText = "---";
     confDetails.innerText = "🪐 畫布已清空，請重新書寫";
@@ -1157,6 +1026,90 @@ function clearCanvas() {
     addGalaxyEffects();
 }
 
+// 依繪圖歷史重繪畫布 (黑底 + 圖片 + 筆畫)
+function redrawFromHistory() {
+    const operations = drawingHistory.visibleOperations();
+    clearExpressionMarkers();
+    
+    ctx.clearRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+    ctx.fillStyle = "black";
+    ctx.fillRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+    
+    operations.forEach(operation => {
+        if (operation.type === 'image') {
+            ctx.drawImage(operation.image, operation.x, operation.y, operation.w, operation.h);
+        } else if (operation.type === 'stroke') {
+            renderStrokes(ctx, [operation.stroke]);
+        }
+    });
+    updatePen();
+    
+    // 同步筆畫模型，供筆畫分組辨識使用
+    strokeModel.replaceStrokes(drawingHistory.visibleStrokes());
+    hasRasterContent = operations.some(operation => operation.type === 'image');
+}
+
+// 復原 / 重做後重新辨識 (與 stopDrawing 相同的延遲)
+function applyHistoryChange(operation) {
+    if (!operation) return;
+    
+    redrawFromHistory();
+    updateHistoryButtons();
+    
+    if (drawingHistory.visibleOperations().length === 0) {
+        digitDisplay.innerText = "---";
+        confDetails.innerText = "🪐 畫布是空的，請重新書寫";
+    } else {
+        setTimeout(() => predict(false), 300);
+    }
+}
+
+function undoDrawing() {
+    if (cameraStream || isDrawing || isReplaying) return;
+    applyHistoryChange(drawingHistory.undo());
+    addVisualFeedback("#8e44ad");
+}
+
+function redoDrawing() {
+    if (cameraStream || isDrawing || isReplaying) return;
+    applyHistoryChange(drawingHistory.redo());
+    addVisualFeedback("#8e44ad");
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = !drawingHistory.canUndo;
+    if (redoBtn) redoBtn.disabled = !drawingHistory.canRedo;
+}
+
+// 使用者清除畫布 (記入歷史，可復原)
+function clearDrawing() {
+    drawingHistory.push({ type: 'clear' });
+    updateHistoryButtons();
+    clearCanvas();
+}
+
+// 動畫重播筆跡
+async function replayDrawing() {
+    if (isReplaying || cameraStream) return;
+    if (strokeModel.isEmpty || hasRasterContent) {
+        confDetails.innerText = "沒有可重播的筆跡";
+        return;
+    }
+    
+    isReplaying = true;
+    addVisualFeedback("#1abc9c");
+    await replayStrokes(ctx, strokeModel.strokes, {
+        clear: () => {
+            ctx.fillStyle = "black";
+            ctx.fillRect(0, 0, LOGICAL_WIDTH, LOGICAL_HEIGHT);
+        }
+    });
+    redrawFromHistory();
+    isReplaying = false;
+}
+
 // 視覺回饋效果
 function addVisualFeedback(color) {
     const buttons = document.querySelectorAll('.btn-container button');
@@ -1195,14 +1148,17 @@ async function toggleCamera() {
         if (camToggleBtn) {
             camToggleBtn.innerHTML = '<span class="btn-icon">📷</span> 關閉鏡頭';
         }
+        const resetRoiBtn = document.getElementById('resetRoiBtn');
+        if (resetRoiBtn) resetRoiBtn.style.display = '';
+        if (isDebugMode) renderTuningFields();
         
-        // 開始即時辨識
-        realtimeInterval = setInterval(async () => {
-            await predict(true);
-        }, 800); // 降低頻率以減少性能壓力
+        // 開始即時辨識 (優先交給 Worker，不支援時退回主執行緒)
+        cameraTracker.reset();
+        startCameraWorker();
+        scheduleRealtime();
         
-        clearCanvas();
-        confDetails.innerText = "📷 鏡頭已開啟，只顯示信心度 > 93% 的數字";
+        clearDrawing(); // 記入歷史，關閉鏡頭後仍可復原先前的手寫內容
+        confDetails.innerText = "📷 鏡頭已開啟，數字需連續數個影格穩定才會確認";
         addVisualFeedback("#9b59b6");
         
     } catch (err) {
@@ -1211,6 +1167,20 @@ async function toggleCamera() {
     }
 }
 
+// 依目前是否有 Worker 重新排程即時辨識
+// Worker 搭配快速濾波可達 10 fps；主執行緒退回模式維持較低頻率以免卡頓
+function scheduleRealtime() {
+    if (realtimeInterval) clearInterval(realtimeInterval);
+    const interval = cameraWorker ? REALTIME_INTERVAL_MS : FALLBACK_INTERVAL_MS;
+    realtimeInterval = setInterval(async () => {
+        if (cameraWorker) {
+            await sendFrameToWorker();
+        } else {
+            await predict(true);
+        }
+    }, interval);
+}
+
 // 停止相機
 function stopCamera() {
     if (cameraStream) {
@@ -1222,6 +1192,8 @@ function stopCamera() {
         clearInterval(realtimeInterval);
         realtimeInterval = null;
     }
+    cameraTracker.reset();
+    digitDisplay.classList.remove('digit-locked');
     
     video.style.display = "none";
     document.getElementById('mainBox').classList.remove('cam-active');
@@ -1230,11 +1202,523 @@ function stopCamera() {
     if (camToggleBtn) {
         camToggleBtn.innerHTML = '<span class="btn-icon">📷</span> 開啟鏡頭';
     }
+    const resetRoiBtn = document.getElementById('resetRoiBtn');
+    if (resetRoiBtn) resetRoiBtn.style.display = 'none';
+    if (isDebugMode) renderTuningFields();
     
-    init(); // 重新初始化畫布
+    resetDisplay();
     addVisualFeedback("#34495e");
 }
 
+// 影片以 object-fit: cover 顯示時，實際可見的來源區域
+function getVideoCoverCrop() {
+    const videoWidth = video.videoWidth || LOGICAL_WIDTH;
+    const videoHeight = video.videoHeight || LOGICAL_HEIGHT;
+    const scale = Math.max(LOGICAL_WIDTH / videoWidth, LOGICAL_HEIGHT / videoHeight);
+    const w = LOGICAL_WIDTH / scale;
+    const h = LOGICAL_HEIGHT / scale;
+    
+    return { x: (videoWidth - w) / 2, y: (videoHeight - h) / 2, w, h };
+}
+
+// ==================== 鏡頭辨識區域 ====================
+
+// 限制在畫面內且不小於最小尺寸
+function clampRoi({ left, top, right, bottom }) {
+    left = Math.min(Math.max(left, 0), 1 - MIN_ROI_SIZE);
+    top = Math.min(Math.max(top, 0), 1 - MIN_ROI_SIZE);
+    right = Math.min(Math.max(right, left + MIN_ROI_SIZE), 1);
+    bottom = Math.min(Math.max(bottom, top + MIN_ROI_SIZE), 1);
+    return { left, top, right, bottom };
+}
+
+// 讀取上次儲存的辨識區域，沒有或格式不符時使用預設的中央區域
+function loadCameraRoi() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ROI_STORAGE_KEY));
+        if (saved && ['left', 'top', 'right', 'bottom'].every(key => Number.isFinite(saved[key]))) {
+            return clampRoi(saved);
+        }
+    } catch (e) {
+        console.log('無法讀取辨識區域設定:', e);
+    }
+    return { ...MODE_DEFAULTS.camera.roi };
+}
+
+function saveCameraRoi() {
+    try {
+        localStorage.setItem(ROI_STORAGE_KEY, JSON.stringify(cameraRoi));
+    } catch (e) {
+        console.log('無法儲存辨識區域設定:', e);
+    }
+}
+
+// 以百分比定位，隨畫布縮放
+function renderCameraRoi() {
+    const element = document.getElementById('camera-roi');
+    if (!element) return;
+    
+    element.style.left = `${cameraRoi.left * 100}%`;
+    element.style.top = `${cameraRoi.top * 100}%`;
+    element.style.width = `${(cameraRoi.right - cameraRoi.left) * 100}%`;
+    element.style.height = `${(cameraRoi.bottom - cameraRoi.top) * 100}%`;
+}
+
+// 拖曳區域本身為移動，拖曳右下角控制點為調整大小
+function handleRoiPointerDown(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const element = e.currentTarget;
+    roiDrag = {
+        pointerId: e.pointerId,
+        resizing: e.target.classList.contains('roi-handle'),
+        startX: e.clientX,
+        startY: e.clientY,
+        start: { ...cameraRoi },
+        rect: element.parentElement.getBoundingClientRect()
+    };
+    element.setPointerCapture(e.pointerId);
+}
+
+function handleRoiPointerMove(e) {
+    if (!roiDrag || e.pointerId !== roiDrag.pointerId) return;
+    
+    const { start, rect } = roiDrag;
+    const dx = (e.clientX - roiDrag.startX) / rect.width;
+    const dy = (e.clientY - roiDrag.startY) / rect.height;
+    
+    if (roiDrag.resizing) {
+        cameraRoi = clampRoi({ ...start, right: start.right + dx, bottom: start.bottom + dy });
+    } else {
+        const w = start.right - start.left;
+        const h = start.bottom - start.top;
+        const left = Math.min(Math.max(start.left + dx, 0), 1 - w);
+        const top = Math.min(Math.max(start.top + dy, 0), 1 - h);
+        cameraRoi = { left, top, right: left + w, bottom: top + h };
+    }
+    renderCameraRoi();
+}
+
+function handleRoiPointerUp(e) {
+    if (!roiDrag || e.pointerId !== roiDrag.pointerId) return;
+    roiDrag = null;
+    saveCameraRoi();
+    // 區域改變後先前的追蹤結果不再對應
+    cameraTracker.reset();
+}
+
+function resetCameraRoi() {
+    cameraRoi = { ...MODE_DEFAULTS.camera.roi };
+    renderCameraRoi();
+    saveCameraRoi();
+    cameraTracker.reset();
+    addVisualFeedback("#9b59b6");
+}
+
+// ==================== 傾斜校正 ====================
+
+function toggleDeskewMode() {
+    isDeskewMode = !isDeskewMode;
+    cameraTracker.reset();
+    
+    const deskewBtn = document.getElementById('deskewBtn');
+    if (deskewBtn) {
+        deskewBtn.innerHTML = `<span class="btn-icon">📏</span> 傾斜校正：${isDeskewMode ? '開啟' : '關閉'}`;
+        deskewBtn.classList.toggle('deskew-active', isDeskewMode);
+    }
+    addVisualFeedback("#16a085");
+    
+    // 手動模式立即以新設定重新辨識
+    if (!cameraStream && (hasRasterContent || !strokeModel.isEmpty)) predict(false);
+}
+
+// ==================== 透視校正 ====================
+
+const QUAD_CORNERS = ['tl', 'tr', 'br', 'bl'];
+
+// 傳給 recognize() 的 perspective 選項
+function perspectiveOption() {
+    if (!isPerspectiveMode) return null;
+    return manualQuad || 'auto';
+}
+
+function togglePerspectiveMode() {
+    isPerspectiveMode = !isPerspectiveMode;
+    manualQuad = null;
+    cameraTracker.reset();
+    
+    const perspectiveBtn = document.getElementById('perspectiveBtn');
+    if (perspectiveBtn) {
+        perspectiveBtn.innerHTML = `<span class="btn-icon">📐</span> 透視校正：${isPerspectiveMode ? '開啟' : '關閉'}`;
+        perspectiveBtn.classList.toggle('perspective-active', isPerspectiveMode);
+    }
+    renderPerspectiveCorners(null);
+    
+    if (isPerspectiveMode) {
+        confDetails.innerText = "📐 透視校正已開啟：自動偵測紙張，找不到時可拖曳四個角手動指定";
+        addVisualFeedback("#16a085");
+    }
+    // 上傳的圖片立即重新辨識
+    if (!cameraStream && hasRasterContent) predict(false);
+}
+
+// 找不到紙張時的預設四角 (畫面內縮 10%)
+function defaultQuad() {
+    const dx = LOGICAL_WIDTH * 0.1;
+    const dy = LOGICAL_HEIGHT * 0.1;
+    return {
+        tl: { x: dx, y: dy },
+        tr: { x: LOGICAL_WIDTH - dx, y: dy },
+        br: { x: LOGICAL_WIDTH - dx, y: LOGICAL_HEIGHT - dy },
+        bl: { x: dx, y: LOGICAL_HEIGHT - dy }
+    };
+}
+
+// 以百分比定位四個角的控制點與連線；手動調整中以手動結果為準
+function renderPerspectiveCorners(detectedQuad) {
+    const container = document.getElementById('perspective-corners');
+    if (!container) return;
+    
+    container.classList.toggle('visible', isPerspectiveMode);
+    container.classList.toggle('detected', Boolean(manualQuad || detectedQuad));
+    if (!isPerspectiveMode) return;
+    
+    const quad = manualQuad || detectedQuad || defaultQuad();
+    QUAD_CORNERS.forEach(corner => {
+        const handle = container.querySelector(`[data-corner="${corner}"]`);
+        if (!handle) return;
+        handle.style.left = `${quad[corner].x / LOGICAL_WIDTH * 100}%`;
+        handle.style.top = `${quad[corner].y / LOGICAL_HEIGHT * 100}%`;
+    });
+    
+    const outline = container.querySelector('polygon');
+    if (outline) {
+        outline.setAttribute('points', QUAD_CORNERS.map(corner => `${quad[corner].x},${quad[corner].y}`).join(' '));
+    }
+}
+
+function handleCornerPointerDown(e) {
+    const corner = e.target.dataset.corner;
+    if (!corner) return;
+    e.preventDefault();
+    e.stopPropagation();
+    
+    // 由目前顯示的位置開始手動調整
+    if (!manualQuad) {
+        const detected = currentResult && currentResult.quad;
+        manualQuad = JSON.parse(JSON.stringify(detected || defaultQuad()));
+    }
+    cornerDrag = { pointerId: e.pointerId, corner, rect: e.currentTarget.getBoundingClientRect() };
+    e.target.setPointerCapture(e.pointerId);
+}
+
+function handleCornerPointerMove(e) {
+    if (!cornerDrag || e.pointerId !== cornerDrag.pointerId) return;
+    
+    const { rect, corner } = cornerDrag;
+    manualQuad[corner] = {
+        x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) * LOGICAL_WIDTH,
+        y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1) * LOGICAL_HEIGHT
+    };
+    renderPerspectiveCorners(null);
+}
+
+function handleCornerPointerUp(e) {
+    if (!cornerDrag || e.pointerId !== cornerDrag.pointerId) return;
+    cornerDrag = null;
+    cameraTracker.reset();
+    if (!cameraStream) predict(false);
+}
+
+// 雙擊任一角改回自動偵測
+function resetManualQuad() {
+    manualQuad = null;
+    cameraTracker.reset();
+    renderPerspectiveCorners(null);
+    if (!cameraStream && hasRasterContent) predict(false);
+}
+
+// ==================== 除錯面板 ====================
+
+// 可即時調整的門檻 (key 對應 recognize() 的選項，留白則使用預設值)
+const TUNING_FIELDS = {
+    handwriting: [
+        { key: 'confidenceThreshold', label: '信心度門檻', step: 0.01 },
+        { key: 'minArea', label: '最小面積', step: 10, placeholder: '150 (即時 500)' },
+        { key: 'minAspect', label: '最小寬高比', step: 0.05 },
+        { key: 'maxAspect', label: '最大寬高比', step: 0.5, placeholder: '自動' },
+        { key: 'minSolidity', label: '最小填滿率', step: 0.05 },
+        { key: 'border', label: '邊緣寬度', step: 1 },
+        { key: 'borderMinArea', label: '邊緣保留面積', step: 50 }
+    ],
+    camera: [
+        // 鏡頭模式以多影格平均機率確認 (DigitTracker 的確認門檻)
+        { key: 'confidenceThreshold', label: '信心度門檻', step: 0.01, placeholder: `${TRACKER_DEFAULTS.commitThreshold} (多影格平均)` },
+        { key: 'minArea', label: '最小面積', step: 10, placeholder: '畫面 0.2%' },
+        { key: 'maxAreaRatio', label: '最大面積比例', step: 0.05 },
+        { key: 'minAspect', label: '最小寬高比', step: 0.05 },
+        { key: 'maxAspect', label: '最大寬高比', step: 0.1 },
+        { key: 'blockSize', label: '閾值區塊', step: 2 },
+        { key: 'thresholdOffset', label: '閾值常數 C', step: 1 }
+    ]
+};
+
+// 連通域被排除的原因 (recognize() 的 debug.components[i].reason)
+const REJECT_REASONS = {
+    area: '面積',
+    aspect: '寬高比',
+    solidity: '填滿率',
+    border: '邊緣',
+    roi: '區域邊界'
+};
+
+function toggleDebugMode() {
+    isDebugMode = !isDebugMode;
+    
+    const debugBtn = document.getElementById('debugBtn');
+    if (debugBtn) {
+        debugBtn.innerHTML = `<span class="btn-icon">🔬</span> 除錯面板：${isDebugMode ? '開啟' : '關閉'}`;
+        debugBtn.classList.toggle('debug-active', isDebugMode);
+    }
+    const panel = document.getElementById('debug-panel');
+    if (panel) panel.style.display = isDebugMode ? '' : 'none';
+    if (isDebugMode) renderTuningFields();
+    addVisualFeedback("#8e44ad");
+    
+    if (isDebugMode && !cameraStream && (hasRasterContent || !strokeModel.isEmpty)) predict(false);
+}
+
+// 依目前模式產生門檻輸入欄 (預設值顯示為提示文字)
+function renderTuningFields() {
+    const container = document.getElementById('debug-tuning');
+    if (!container) return;
+    
+    const mode = cameraStream ? 'camera' : 'handwriting';
+    container.innerHTML = '';
+    TUNING_FIELDS[mode].forEach(field => {
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = field.step;
+        input.placeholder = field.placeholder ?? String(MODE_DEFAULTS[mode][field.key]);
+        input.value = tuningOverrides[mode][field.key] ?? '';
+        input.addEventListener('change', () => updateTuning(mode, field.key, input.value));
+        
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
+function updateTuning(mode, key, value) {
+    const number = parseFloat(value);
+    if (value === '' || !Number.isFinite(number)) {
+        delete tuningOverrides[mode][key];
+    } else {
+        tuningOverrides[mode][key] = number;
+    }
+    cameraTracker.setCommitThreshold(tuningOverrides.camera.confidenceThreshold);
+    cameraTracker.reset();
+    
+    // 手動模式立即以新門檻重新辨識 (鏡頭模式下一個影格就會套用)
+    if (mode === 'handwriting' && !cameraStream && (hasRasterContent || !strokeModel.isEmpty)) predict(false);
+}
+
+// 灰階影像 {data, width, height} 轉成 canvas
+function grayToCanvas(image) {
+    const output = document.createElement('canvas');
+    output.width = image.width;
+    output.height = image.height;
+    const imageData = new ImageData(image.width, image.height);
+    for (let i = 0; i < image.data.length; i++) {
+        const value = image.data[i];
+        imageData.data[i * 4] = value;
+        imageData.data[i * 4 + 1] = value;
+        imageData.data[i * 4 + 2] = value;
+        imageData.data[i * 4 + 3] = 255;
+    }
+    output.getContext('2d').putImageData(imageData, 0, 0);
+    return output;
+}
+
+// 連通域 (保留為綠色、排除為紅色並標示原因) 與連體字切割 (黃色虛線)
+function drawDebugOverlay(target, components, splits) {
+    const overlay = target.getContext('2d');
+    const scale = Math.max(1, target.width / 350);
+    overlay.lineWidth = 2 * scale;
+    overlay.font = `bold ${Math.round(12 * scale)}px Arial`;
+    
+    components.forEach(comp => {
+        const color = comp.reason ? '#e74c3c' : '#2ecc71';
+        overlay.strokeStyle = color;
+        overlay.fillStyle = color;
+        overlay.strokeRect(comp.box.x, comp.box.y, comp.box.w, comp.box.h);
+        if (comp.reason) {
+            overlay.fillText(REJECT_REASONS[comp.reason] || comp.reason, comp.box.x, Math.max(comp.box.y - 3, 12 * scale));
+        }
+    });
+    
+    overlay.strokeStyle = '#f1c40f';
+    overlay.setLineDash([4 * scale, 3 * scale]);
+    splits.forEach(split => {
+        split.parts.forEach(part => overlay.strokeRect(part.x, part.y, part.w, part.h));
+    });
+    overlay.setLineDash([]);
+}
+
+// 以未經跨影格投票的 recognize() 結果渲染各階段影像、耗時、排除原因與最終模型輸入
+function renderDebugPanel(result) {
+    const panel = document.getElementById('debug-panel');
+    if (!panel || !isDebugMode || !result.debug) return;
+    
+    const { stages, components, splits, componentStage, totalMs } = result.debug;
+    
+    const stagesElement = document.getElementById('debug-stages');
+    stagesElement.innerHTML = '';
+    stages.forEach((stage, index) => {
+        const figure = document.createElement('figure');
+        figure.className = 'debug-stage';
+        if (stage.image) {
+            const stageCanvas = grayToCanvas(stage.image);
+            if (index === componentStage) drawDebugOverlay(stageCanvas, components, splits);
+            figure.appendChild(stageCanvas);
+        }
+        const caption = document.createElement('figcaption');
+        caption.innerHTML = `${stage.name} <span class="debug-time">${stage.ms.toFixed(1)} ms</span>`;
+        figure.appendChild(caption);
+        stagesElement.appendChild(figure);
+    });
+    
+    const rejected = components.filter(comp => comp.reason);
+    const summary = document.getElementById('debug-summary');
+    summary.innerHTML = `總耗時 ${totalMs.toFixed(1)} ms｜連通域 ${components.length} 個，排除 ${rejected.length} 個｜連體字切割 ${splits.length} 處` +
+        rejected.map(comp => `<div class="debug-reject">✖ (${comp.box.x}, ${comp.box.y}) ${comp.box.w}x${comp.box.h}：${comp.detail}</div>`).join('');
+    
+    // 最終送進模型的 28x28 輸入
+    const inputsElement = document.getElementById('debug-inputs');
+    inputsElement.innerHTML = '';
+    [...result.digits, ...result.rejected].forEach(entry => {
+        const figure = document.createElement('figure');
+        figure.className = entry.uncertain ? 'debug-input debug-input-uncertain' : 'debug-input';
+        figure.appendChild(grayToCanvas({ data: denormalizeToUint8(entry.input, entry.normalization), width: 28, height: 28 }));
+        const caption = document.createElement('figcaption');
+        caption.textContent = `${entry.label} ${(entry.confidence * 100).toFixed(0)}%`;
+        figure.appendChild(caption);
+        inputsElement.appendChild(figure);
+    });
+}
+
+// ==================== 鏡頭辨識 Worker ====================
+
+// 建立 Worker (只建立一次，之後重複使用)
+function startCameraWorker() {
+    if (cameraWorker) return;
+    
+    if (!window.Worker || typeof OffscreenCanvas === 'undefined' || !window.createImageBitmap) {
+        console.log('瀏覽器不支援 OffscreenCanvas Worker，鏡頭辨識改在主執行緒執行');
+        return;
+    }
+    
+    try {
+        cameraWorker = new Worker(new URL('./lib/camera-worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+        console.log('Worker 建立失敗，鏡頭辨識改在主執行緒執行:', e);
+        cameraWorker = null;
+        return;
+    }
+    
+    cameraWorker.onmessage = handleWorkerMessage;
+    cameraWorker.onerror = (e) => {
+        console.error('Worker 載入失敗，改在主執行緒執行:', e.message);
+        fallBackToMainThread();
+    };
+    // Worker 以網址自行載入目前模型 (IndexedDB 網址可直接共用)
+    const { url } = modelRegistry.active;
+    cameraWorker.postMessage({
+        type: 'init',
+        modelUrl: url.startsWith('indexeddb://') ? url : new URL(url, location.href).href
+    });
+}
+
+function stopCameraWorker() {
+    if (cameraWorker) {
+        cameraWorker.terminate();
+        cameraWorker = null;
+    }
+    cameraWorkerReady = false;
+    isProcessing = false;
+}
+
+// Worker 失敗後改在主執行緒辨識，並降回主執行緒的頻率
+function fallBackToMainThread() {
+    stopCameraWorker();
+    if (cameraStream) scheduleRealtime();
+}
+
+function handleWorkerMessage(event) {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'ready':
+            cameraWorkerReady = true;
+            console.log('鏡頭 Worker 就緒，後端:', message.backend);
+            break;
+            
+        case 'result':
+            isProcessing = false;
+            // 鏡頭關閉後才回來的結果直接丟棄
+            if (cameraStream) {
+                renderRecognition(cameraTracker.update(message.result), true);
+                renderDebugPanel(message.result);
+            }
+            break;
+            
+        case 'error':
+            console.error('鏡頭 Worker 錯誤:', message.message);
+            if (message.phase === 'init') {
+                fallBackToMainThread();
+            } else {
+                isProcessing = false;
+            }
+            break;
+    }
+}
+
+// 擷取目前影格並轉移給 Worker (isProcessing 作為背壓控制)
+async function sendFrameToWorker() {
+    if (isProcessing || !cameraStream || !cameraWorkerReady) return;
+    
+    // 影片尚未有可用影格
+    if (video.readyState < 2) return;
+    
+    isProcessing = true;
+    try {
+        const crop = getVideoCoverCrop();
+        const frame = await createImageBitmap(video, crop.x, crop.y, crop.w, crop.h);
+        cameraWorker.postMessage({
+            type: 'frame',
+            frame,
+            width: LOGICAL_WIDTH,
+            height: LOGICAL_HEIGHT,
+            options: {
+                normalization: modelRegistry.active.metadata.normalization,
+                preprocessing: modelRegistry.active.metadata.preprocessing,
+                labels: modelRegistry.active.metadata.labels,
+                roi: cameraRoi,
+                perspective: perspectiveOption(),
+                deskew: isDeskewMode,
+                debug: isDebugMode,
+                ...tuningOverrides.camera
+            }
+        }, [frame]);
+    } catch (e) {
+        console.log('影格擷取失敗:', e);
+        isProcessing = false;
+    }
+}
+
 // 檔案上傳
 function triggerFile() {
     const fileInput = document.getElementById('fileInput');
@@ -1250,6 +1734,8 @@ function handleFile(event) {
     
     // 如果相機開啟，先關閉
     if (cameraStream) stopCamera();
+    // 新圖片重新自動偵測紙張
+    manualQuad = null;
     
     const reader = new FileReader();
     reader.onload = (e) => {
@@ -1259,17 +1745,20 @@ function handleFile(event) {
             
             // 計算適當的尺寸
             const ratio = Math.min(
-                canvas.width / img.width * 0.8,
-                canvas.height / img.height * 0.8
+                LOGICAL_WIDTH / img.width * 0.8,
+                LOGICAL_HEIGHT / img.height * 0.8
             );
             const w = img.width * ratio;
             const h = img.height * ratio;
             
             // 置中繪製
-            const x = (canvas.width - w) / 2;
-            const y = (canvas.height - h) / 2;
+            const x = (LOGICAL_WIDTH - w) / 2;
+            const y = (LOGICAL_HEIGHT - h) / 2;
             
             ctx.drawImage(img, x, y, w, h);
+            hasRasterContent = true;
+            drawingHistory.push({ type: 'image', image: img, x, y, w, h });
+            updateHistoryButtons();
             predict(false);
             addVisualFeedback("#3498db");
         };
@@ -1278,19 +1767,48 @@ function handleFile(event) {
     reader.readAsDataURL(file);
 }
 
-// 更新詳細資訊顯示
-function updateDetails(data) {
-    let html = "<b>詳細辨識資訊：</b><br>";
-    if (!data || data.length === 0) {
-        html += "未偵測到高信心度數字 (需 > 93%)";
+// 文字節點 (content 可為字串或節點陣列)；標籤與語音內容一律以文字寫入，不經過 innerHTML
+function styledText(content, color = null, tag = 'span') {
+    const element = document.createElement(tag);
+    element.append(...[].concat(content));
+    if (color) element.style.color = color;
+    return element;
+}
+
+// 逐行顯示詳細資訊 (每行為節點或字串的陣列)
+function showDetailLines(lines) {
+    confDetails.replaceChildren();
+    lines.forEach((line, index) => {
+        if (index > 0) confDetails.appendChild(document.createElement('br'));
+        confDetails.append(...line);
+    });
+}
+
+// 更新詳細資訊顯示 (header 為顯示在最前面的各行)
+function updateDetails(result, header = []) {
+    const lines = [...header, [styledText('詳細辨識資訊：', null, 'b')]];
+    
+    const entries = result ? result.lines.flatMap(line => line.digits) : [];
+    if (entries.length === 0) {
+        lines.push(['未偵測到高信心度數字 (需 > 93%)']);
     } else {
-        data.forEach((item, i) => {
-            const color = item.rawConfidence > 0.95 ? "#2ecc71" : 
-                         item.rawConfidence > 0.93 ? "#f1c40f" : "#ff6b9d";
-            html += `數字 ${i + 1}: <b style="color:${color}">${item.digit}</b> (信心度: ${item.conf})<br>`;
+        const multiLine = result.lines.length > 1;
+        entries.forEach(item => {
+            const color = item.uncertain ? "#ff6b9d" :
+                         item.confidence > 0.95 ? "#2ecc71" : "#f1c40f";
+            const lineLabel = multiLine ? `第 ${item.line + 1} 行 ` : "";
+            const alternatives = item.topK.slice(1)
+                .map(c => `${c.label} (${(c.probability * 100).toFixed(1)}%)`)
+                .join(', ');
+            const line = [`${lineLabel}數字 ${item.index + 1}: `, styledText(entryText({ ...item, corrected: null }), color, 'b')];
+            if (item.corrected != null) {
+                line.push(' → ', styledText(item.corrected, '#2ecc71', 'b'));
+            }
+            line.push(` (信心度: ${(item.confidence * 100).toFixed(1)}%｜候選: ${alternatives})`);
+            lines.push(line);
         });
     }
-    confDetails.innerHTML = html;
+    showDetailLines(lines);
 }
 
 // ==================== 語音功能 (修復重複啟動錯誤) ====================
@@ -1380,21 +1898,23 @@ function initSpeechRecognition() {
         // 重置重試計數
         retryCount = 0;
         
+        const spoken = spokenLabels(transcript);
         if (transcript.includes('清除') || transcript.includes('清空')) {
-            clearCanvas();
+            clearDrawing();
         } else if (transcript.includes('開始') || transcript.includes('辨識')) {
             predict(false);
         } else if (transcript.includes('鏡頭') || transcript.includes('相機')) {
             toggleCamera();
         } else if (transcript.includes('橡皮擦')) {
             toggleEraser();
-        } else if (/^\d+$/.test(transcript)) {
-            digitDisplay.innerText = transcript;
-            confDetails.innerHTML = `<b>語音輸入：</b><span style="color:#ff6b9d">${transcript}</span>`;
+        } else if (spoken) {
+            const text = spoken.join('');
+            digitDisplay.innerText = text;
+            showDetailLines([[styledText('語音輸入：', null, 'b'), styledText(text, '#ff6b9d')]]);
             addVisualFeedback("#ff6b9d");
         } else {
             // 顯示其他語音指令
-            confDetails.innerHTML = `<b>語音指令：</b><span style="color:#ff6b9d">${transcript}</span>`;
+            showDetailLines([[styledText('語音指令：', null, 'b'), styledText(transcript, '#ff6b9d')]]);
         }
     };
     
@@ -1425,6 +1945,12 @@ function initSpeechRecognition() {
     };
 }
 
+// 語音內容依目前模型的標籤集拆解 (例如「3加4」→ 3 + 4)，無法對應時回傳 null
+function spokenLabels(transcript) {
+    const active = modelRegistry.active;
+    return parseLabelSequence(transcript, active ? active.metadata.labels : DIGIT_LABELS);
+}
+
 function updateVoiceButton() {
     const voiceBtn = document.getElementById('voiceBtn');
     if (!voiceBtn) return;
@@ -1490,29 +2016,41 @@ function toggleVoice() {
 
 // ==================== 繪圖事件處理 ====================
 
+// 將指標位置換算成邏輯座標 (畫布可能被 CSS 縮放)
 function getCanvasCoordinates(e) {
     const rect = canvas.getBoundingClientRect();
-    let x, y;
-    
-    if (e.type.includes('touch')) {
-        x = e.touches[0].clientX - rect.left;
-        y = e.touches[0].clientY - rect.top;
-    } else {
-        x = e.clientX - rect.left;
-        y = e.clientY - rect.top;
-    }
+    const x = (e.clientX - rect.left) * LOGICAL_WIDTH / rect.width;
+    const y = (e.clientY - rect.top) * LOGICAL_HEIGHT / rect.height;
     
     return { x, y };
 }
 
+// 只有觸控筆的筆壓有意義 (滑鼠固定 0.5，手指多半為 0 或固定值)
+function getPointerPressure(e) {
+    return e.pointerType === 'pen' ? e.pressure : undefined;
+}
+
 function startDrawing(e) {
     e.preventDefault();
+    if (isReplaying) return;
     isDrawing = true;
     const { x, y } = getCanvasCoordinates(e);
+    const pressure = getPointerPressure(e);
     
+    updatePen(pressure);
     ctx.beginPath();
     ctx.moveTo(x, y);
     
+    // 鏡頭模式下畫布只是疊圖層，不記錄筆畫
+    if (!cameraStream) {
+        clearExpressionMarkers();
+        strokeModel.beginStroke({ x, y, t: performance.now(), pressure }, {
+            tool: isEraser ? 'eraser' : 'pen',
+            width: isEraser ? ERASER_WIDTH : PEN_WIDTH,
+            color: ctx.strokeStyle
+        });
+    }
+    
     lastX = x;
     lastY = y;
 }
@@ -1523,13 +2061,17 @@ function draw(e) {
     if (!isDrawing) return;
     
     const { x, y } = getCanvasCoordinates(e);
+    const pressure = getPointerPressure(e);
     
+    updatePen(pressure);
     ctx.lineTo(x, y);
     ctx.stroke();
     
     ctx.beginPath();
     ctx.moveTo(x, y);
     
+    strokeModel.addPoint({ x, y, t: e.timeStamp || performance.now(), pressure });
+    
     lastX = x;
     lastY = y;
 }
@@ -1538,52 +2080,171 @@ function stopDrawing() {
     if (isDrawing) {
         isDrawing = false;
         ctx.beginPath();
+        const stroke = strokeModel.endStroke();
+        if (stroke) {
+            drawingHistory.push({ type: 'stroke', stroke });
+            updateHistoryButtons();
+        }
         if (!cameraStream) {
             setTimeout(() => predict(false), 300);
         }
     }
 }
 
-function handleTouchStart(e) {
-    if (e.touches.length === 1) {
-        startDrawing(e);
+// 放棄目前這一筆 (例如觸控畫到一半被觸控筆接手)
+function cancelDrawing() {
+    if (!isDrawing) return;
+    isDrawing = false;
+    ctx.beginPath();
+    strokeModel.cancelStroke();
+    if (!cameraStream) {
+        redrawFromHistory();
+    }
+}
+
+// ==================== Pointer Events 輸入層 ====================
+
+function handlePointerDown(e) {
+    // 滑鼠只接受左鍵
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    
+    const now = performance.now();
+    if (e.pointerType === 'pen') lastPenTime = now;
+    
+    // 手掌誤觸：觸控筆剛使用過時忽略手指
+    if (e.pointerType === 'touch' && now - lastPenTime < PALM_REJECTION_MS) return;
+    
+    if (activePointerId !== null) {
+        // 手指畫到一半時觸控筆落下：那一筆多半是手掌，改由觸控筆接手
+        if (e.pointerType === 'pen' && activePointerType === 'touch') {
+            cancelDrawing();
+            activePointerId = null;
+        } else {
+            // 其他同時出現的指標 (第二根手指等) 一律忽略
+            return;
+        }
     }
+    
+    activePointerId = e.pointerId;
+    activePointerType = e.pointerType;
+    canvas.setPointerCapture(e.pointerId);
+    startDrawing(e);
 }
 
-function handleTouchMove(e) {
-    if (e.touches.length === 1) {
+function handlePointerMove(e) {
+    if (e.pointerType === 'pen') lastPenTime = performance.now();
+    if (e.pointerId !== activePointerId) return;
+    
+    // 高回報率裝置在一個影格內會合併多個事件，逐一取出讓曲線更平滑
+    const events = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    if (events.length > 0) {
+        e.preventDefault();
+        events.forEach(draw);
+    } else {
         draw(e);
     }
 }
 
+function handlePointerUp(e) {
+    if (e.pointerType === 'pen') lastPenTime = performance.now();
+    if (e.pointerId !== activePointerId) return;
+    
+    activePointerId = null;
+    activePointerType = null;
+    stopDrawing();
+}
+
+function handlePointerCancel(e) {
+    if (e.pointerId !== activePointerId) return;
+    
+    activePointerId = null;
+    activePointerType = null;
+    cancelDrawing();
+}
+
+// ==================== 響應式畫布 (HiDPI) ====================
+
+// 依顯示尺寸與 devicePixelRatio 調整畫布緩衝區，繪圖仍使用邏輯座標
+function resizeCanvasBackingStore() {
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    
+    const dpr = window.devicePixelRatio || 1;
+    const backingWidth = Math.round(rect.width * dpr);
+    const backingHeight = Math.round(rect.height * dpr);
+    if (canvas.width === backingWidth && canvas.height === backingHeight) return;
+    
+    // 重設尺寸會清空畫布與 context 狀態
+    canvas.width = backingWidth;
+    canvas.height = backingHeight;
+    ctx.setTransform(backingWidth / LOGICAL_WIDTH, 0, 0, backingHeight / LOGICAL_HEIGHT, 0, 0);
+    
+    if (cameraStream) {
+        updatePen();
+        return;
+    }
+    
+    redrawFromHistory();
+    if (strokeModel.current) {
+        renderStrokes(ctx, [strokeModel.current]);
+        updatePen();
+    }
+}
+
+// 螢幕切換或縮放時 devicePixelRatio 會改變，需重新註冊監聽
+function watchDevicePixelRatio() {
+    if (!window.matchMedia) return;
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+        resizeCanvasBackingStore();
+        watchDevicePixelRatio();
+    }, { once: true });
+}
+
+function setupResponsiveCanvas() {
+    resizeCanvasBackingStore();
+    
+    if (window.ResizeObserver) {
+        new ResizeObserver(() => resizeCanvasBackingStore()).observe(canvas);
+    } else {
+        window.addEventListener('resize', resizeCanvasBackingStore);
+    }
+    watchDevicePixelRatio();
+}
+
 // ==================== 事件監聽器綁定 ====================
 
 function setupEventListeners() {
-    // 畫布事件
-    canvas.addEventListener('mousedown', startDrawing);
-    canvas.addEventListener('mousemove', draw);
-    canvas.addEventListener('mouseup', stopDrawing);
-    canvas.addEventListener('mouseout', stopDrawing);
-    
-    // 觸控事件
-    canvas.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        if (e.touches.length === 1) startDrawing(e);
-    });
-    canvas.addEventListener('touchmove', (e) => {
-        e.preventDefault();
-        if (e.touches.length === 1) draw(e);
-    });
-    canvas.addEventListener('touchend', stopDrawing);
+    // 畫布事件 (Pointer Events 統一處理滑鼠、觸控與觸控筆)
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerCancel);
     
     // 按鈕事件
     const buttons = {
         '.btn-run': () => predict(false),
-        '.btn-clear': clearCanvas,
+        '.btn-clear': clearDrawing,
+        '#undoBtn': undoDrawing,
+        '#redoBtn': redoDrawing,
         '#eraserBtn': toggleEraser,
         '#camToggleBtn': toggleCamera,
+        '#resetRoiBtn': resetCameraRoi,
         '#voiceBtn': toggleVoice,
-        '.btn-upload': triggerFile
+        '.btn-upload': triggerFile,
+        '#replayBtn': replayDrawing,
+        '#exprBtn': toggleExpressionMode,
+        '#perspectiveBtn': togglePerspectiveMode,
+        '#deskewBtn': toggleDeskewMode,
+        '#debugBtn': toggleDebugMode,
+        '#exportIdxBtn': exportSamplesIdx,
+        '#exportSpriteBtn': exportSamplesSprite,
+        '#clearSamplesBtn': clearSamples,
+        '#adaptBtn': adaptModel,
+        '#resetModelBtn': resetToShippedModel,
+        '#loadModelUrlBtn': loadModelFromUrlPrompt,
+        '#loadModelFilesBtn': triggerModelFiles,
+        '#removeModelBtn': removeActiveModel
     };
     
     Object.entries(buttons).forEach(([selector, handler]) => {
@@ -1598,12 +2259,72 @@ function setupEventListeners() {
     if (fileInput) {
         fileInput.addEventListener('change', handleFile);
     }
+    
+    // 模型檔案與下拉選單
+    const selects = {
+        '#modelFileInput': handleModelFiles,
+        '#modelSelect': switchModel,
+        '#compareSelect': selectCompareModel,
+        '#templateSelect': selectTemplate
+    };
+    Object.entries(selects).forEach(([selector, handler]) => {
+        const element = document.querySelector(selector);
+        if (element) {
+            element.addEventListener('change', handler);
+        }
+    });
+    
+    // 鏡頭辨識區域的拖曳與縮放
+    const roiElement = document.getElementById('camera-roi');
+    if (roiElement) {
+        roiElement.addEventListener('pointerdown', handleRoiPointerDown);
+        roiElement.addEventListener('pointermove', handleRoiPointerMove);
+        roiElement.addEventListener('pointerup', handleRoiPointerUp);
+        roiElement.addEventListener('pointercancel', handleRoiPointerUp);
+        renderCameraRoi();
+    }
+    
+    // 透視校正的四個角
+    const cornersElement = document.getElementById('perspective-corners');
+    if (cornersElement) {
+        cornersElement.addEventListener('pointerdown', handleCornerPointerDown);
+        cornersElement.addEventListener('pointermove', handleCornerPointerMove);
+        cornersElement.addEventListener('pointerup', handleCornerPointerUp);
+        cornersElement.addEventListener('pointercancel', handleCornerPointerUp);
+        cornersElement.addEventListener('dblclick', resetManualQuad);
+    }
+    
+    // 點選其他地方或按 Esc 關閉更正選單
+    document.addEventListener('click', closeDigitPicker);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeDigitPicker();
+    });
+    
+    // 復原 / 重做快捷鍵：Ctrl+Z、Ctrl+Shift+Z (Ctrl+Y)
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        if (e.target.closest && e.target.closest('input, textarea, [contenteditable]')) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoDrawing();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoDrawing();
+        }
+    });
+    
+    updateHistoryButtons();
+    refreshSampleCount();
+    setupTemplateSelect();
 }
 
 // ==================== 頁面載入時初始化 ====================
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOM 載入完成，開始初始化...');
     setupEventListeners();
+    setupResponsiveCanvas();
     init();
 });
 
@@ -0,0 +1,30 @@
+/**
+ * 🌌 樣本匯出
+ * 樣本依標籤文字對應到目前模型的標籤集，換用不同標籤集時不會被標錯
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { remapSamples, encodeIdxLabels, decodeIdx } from '../lib/dataset-export.js';
+import { LABEL_SETS } from '../lib/labels.js';
+
+const pixels = new Uint8Array(28 * 28);
+
+test('以標籤文字換算成另一個標籤集的索引', () => {
+    const samples = [
+        { pixels, label: 7, labelText: '7' },
+        { pixels, label: 10, labelText: 'A' },
+        { pixels, label: 12, labelText: '×' }
+    ];
+    const remapped = remapSamples(samples, LABEL_SETS['emnist-balanced']);
+    assert.deepEqual(remapped.map(s => [s.labelText, s.label]), [['7', 7], ['A', 10]]);
+
+    const digits = remapSamples(samples, LABEL_SETS.digits);
+    assert.deepEqual(digits.map(s => s.label), [7]);
+    assert.deepEqual(Array.from(decodeIdx(encodeIdxLabels(digits)).data), [7]);
+});
+
+test('舊版樣本沒有標籤文字時視為數字類別', () => {
+    const remapped = remapSamples([{ pixels, label: 3 }], LABEL_SETS.math);
+    assert.deepEqual(remapped.map(s => [s.labelText, s.label]), [['3', 3]]);
+});
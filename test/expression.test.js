@@ -0,0 +1,103 @@
+/**
+ * 🌌 手寫算式解析
+ * 運算優先順序、負號、除以 0 與各種寫錯的算式 (錯誤須指出出問題的符號)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveExpression, tokenize, formatNumber } from '../lib/expression.js';
+import { PLACEHOLDER } from '../lib/recognizer.js';
+
+// 一行辨識結果：每個字元一個項目，由左到右排列
+function line(text) {
+    return [...text].map((label, i) => ({
+        digit: i,
+        label,
+        confidence: 0.99,
+        uncertain: label === PLACEHOLDER,
+        box: { x: i * 30, y: 0, w: 20, h: 40 }
+    }));
+}
+
+const solve = text => solveExpression(line(text));
+
+// ==================== 求值 ====================
+
+test('連續數字合併成一個數值，各種寫法的符號統一', () => {
+    const tokens = tokenize(line('12x3-4/2'));
+    assert.deepEqual(tokens.map(token => token.text), ['12', '×', '3', '−', '4', '÷', '2']);
+    assert.deepEqual(tokens[0].box, { x: 0, y: 0, w: 50, h: 40 });
+});
+
+test('乘除優先於加減，同級由左到右', () => {
+    assert.equal(solve('3+4*2').value, 11);
+    assert.equal(solve('3+4*2').parsed, '3 + (4 × 2)');
+    assert.equal(solve('8-3-2').value, 3);
+    assert.equal(solve('8/4/2').value, 1);
+    assert.equal(solve('2*3+4*5').value, 26);
+});
+
+test('括號改變運算順序', () => {
+    assert.equal(solve('(3+4)*2').value, 14);
+    assert.equal(solve('(3+4)*2').parsed, '(3 + 4) × 2');
+    assert.equal(solve('((2))').value, 2);
+});
+
+test('負號', () => {
+    assert.equal(solve('-3+5').value, 2);
+    assert.equal(solve('2*-3').value, -6);
+    assert.equal(solve('--4').value, 4);
+    assert.equal(solve('-(2+3)').value, -5);
+    assert.equal(solve('-2*3').parsed, '−2 × 3');
+});
+
+test('小數結果去除浮點誤差', () => {
+    assert.equal(formatNumber(solve('1/3').value), '0.333333');
+    assert.equal(formatNumber(0.1 + 0.2), '0.3');
+});
+
+// ==================== 批改 ====================
+
+test('寫了答案時批改，答案可省略', () => {
+    assert.deepEqual([solve('3+4=7').answer, solve('3+4=7').correct], [7, true]);
+    assert.deepEqual([solve('3+4=8').answer, solve('3+4=8').correct], [8, false]);
+    assert.equal(solve('3+4=').value, 7);
+    assert.equal(solve('3+4=').answer, null);
+});
+
+// ==================== 錯誤 ====================
+
+test('除以 0 指向除號', () => {
+    const result = solve('5/0');
+    assert.equal(result.error.message, '不能除以 0');
+    assert.equal(result.error.entries[0].label, '/');
+    assert.deepEqual(result.error.box, { x: 30, y: 0, w: 20, h: 40 });
+    assert.equal(result.value, null);
+});
+
+test('運算式中段除以 0 也被攔下', () => {
+    assert.equal(solve('1+6/(3-3)').error.message, '不能除以 0');
+});
+
+test('寫錯的算式指出出問題的符號', () => {
+    const cases = [
+        ['3+', '算式不完整：結尾缺少數字', '+'],
+        ['(3+4', '括號沒有成對：找不到對應的右括號', '('],
+        ['3+4)', '多餘的右括號', ')'],
+        [')3', '多餘的右括號', ')'],
+        ['*3', '「×」前面缺少數字', '*'],
+        ['3=4=5', '多餘的符號「=」', '='],
+        ['3(4)', '多餘的符號「(」', '(']
+    ];
+    for (const [text, message, symbol] of cases) {
+        const result = solve(text);
+        assert.equal(result.error?.message, message, text);
+        assert.equal(result.error.entries[0].label, symbol, text);
+    }
+});
+
+test('無法辨識或無法使用的符號優先回報', () => {
+    assert.equal(solve(`3+${PLACEHOLDER}`).error.message, '無法辨識的符號，請點選更正');
+    assert.equal(solve('3+A').error.message, '無法使用的符號「A」');
+    assert.equal(solveExpression([]).error.message, '沒有可計算的內容');
+});
@@ -0,0 +1,89 @@
+/**
+ * 🌌 欄位格式範本
+ * changed / adjusted 以模型原本的第一名為準，不受候選的類型過濾影響
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTemplate, FIELD_TEMPLATES } from '../lib/field-templates.js';
+
+// 由 [[標籤, 機率], ...] (依機率排序) 建立辨識項目
+function entry(candidates, uncertain = false) {
+    const topK = candidates.map(([label, probability], digit) => ({ digit, label, probability }));
+    return { ...topK[0], confidence: topK[0].probability, topK, uncertain };
+}
+
+const digits = text => [...text].map(char => entry([[char, 0.99]]));
+
+test('第一名即通過驗證時沒有任何位置被修改', () => {
+    const field = applyTemplate(digits('0912345678'), FIELD_TEMPLATES['tw-mobile']);
+    assert.equal(field.valid, true);
+    assert.equal(field.adjusted, false);
+    assert.ok(field.positions.every(position => !position.changed));
+});
+
+test('第一名不符合欄位類型而被過濾時標示為已修改', () => {
+    const entries = digits('0912345678');
+    entries[4] = entry([['B', 0.6], ['3', 0.3]]);
+
+    const field = applyTemplate(entries, FIELD_TEMPLATES['tw-mobile']);
+    assert.equal(field.value, '0912345678');
+    assert.equal(field.adjusted, true);
+    const changed = field.positions.flatMap((position, i) => position.changed ? [i] : []);
+    assert.deepEqual(changed, [4]);
+    assert.equal(field.positions[4].uncertain, true);
+});
+
+test('低信心度但保留第一名的位置只標示需確認', () => {
+    const entries = digits('0912345678');
+    entries[2] = entry([['1', 0.5], ['7', 0.4]], true);
+
+    const field = applyTemplate(entries, FIELD_TEMPLATES['tw-mobile']);
+    assert.equal(field.adjusted, false);
+    assert.equal(field.positions[2].changed, false);
+    assert.equal(field.positions[2].uncertain, true);
+});
+
+test('改用第二名候選才通過驗證', () => {
+    const entries = digits('0912345678');
+    entries[0] = entry([['6', 0.7], ['0', 0.2]]);
+
+    const field = applyTemplate(entries, FIELD_TEMPLATES['tw-mobile']);
+    assert.equal(field.valid, true);
+    assert.equal(field.value, '0912345678');
+    assert.equal(field.adjusted, true);
+    assert.equal(field.positions[0].changed, true);
+});
+
+// ==================== 市話號碼 ====================
+
+test('市話號碼依碼數與區碼分組', () => {
+    const landline = text => applyTemplate(digits(text), FIELD_TEMPLATES['tw-landline']);
+
+    assert.equal(landline('0223456789').formatted, '(02) 2345-6789');
+    assert.equal(landline('0422345678').formatted, '(04) 2234-5678');
+    assert.equal(landline('0492345678').formatted, '(049) 234-5678');
+    assert.equal(landline('034567890').formatted, '(03) 456-7890');
+    assert.equal(landline('047234567').formatted, '(04) 723-4567');
+    assert.equal(landline('037345678').formatted, '(037) 345-678');
+    assert.equal(landline('089345678').formatted, '(089) 345-678');
+    assert.equal(landline('082612345').formatted, '(0826) 12345');
+
+    for (const text of ['0223456789', '034567890', '037345678', '082612345']) {
+        assert.equal(landline(text).valid, true, text);
+    }
+});
+
+test('市話號碼的碼數與區碼不符時驗證失敗', () => {
+    const landline = text => applyTemplate(digits(text), FIELD_TEMPLATES['tw-landline']);
+
+    assert.equal(landline('022345678').error, '02 開頭的市話為 10 碼');
+    assert.equal(landline('0712345678').error, '只有 02、04 開頭的市話為 10 碼');
+    assert.equal(landline('0912345678').error, '市話區碼需以 02-08 開頭');
+    assert.equal(landline('02234567').error, '市話號碼需要 9 或 10 碼，辨識到 8 碼');
+});
+
+test('固定碼數的範本仍回報需要的碼數', () => {
+    const field = applyTemplate(digits('09123'), FIELD_TEMPLATES['tw-mobile']);
+    assert.equal(field.error, '手機號碼需要 10 碼，辨識到 5 碼');
+});
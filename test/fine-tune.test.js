@@ -0,0 +1,74 @@
+/**
+ * 🌌 瀏覽器端模型微調
+ * 微調的是副本：成功或失敗都不會編譯或修改傳入的模型，失敗時不殘留張量
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { fineTuneModel } from '../lib/fine-tune.js';
+
+function createModel() {
+    return tf.sequential({
+        layers: [
+            tf.layers.flatten({ inputShape: [28, 28, 1] }),
+            tf.layers.dense({ units: 8, activation: 'relu' }),
+            tf.layers.dense({ units: 10, activation: 'softmax' })
+        ]
+    });
+}
+
+function createSamples(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        pixels: new Uint8Array(28 * 28).fill((i * 23) % 256),
+        label: i % 10,
+        labelText: String(i % 10)
+    }));
+}
+
+const snapshot = model => model.getWeights().map(weight => Array.from(weight.dataSync()));
+
+test('微調結果是新的模型，原模型的權重與設定不變', async () => {
+    const model = createModel();
+    const weights = snapshot(model);
+
+    const result = await fineTuneModel(model, createSamples(20), { epochs: 2, learningRate: 0.05 });
+    assert.notEqual(result.model, model);
+    assert.equal(result.samples, 20);
+    assert.notDeepEqual(snapshot(result.model), weights);
+
+    assert.deepEqual(snapshot(model), weights);
+    assert.equal(model.optimizer, undefined);
+    assert.ok(model.layers.every(layer => layer.trainable));
+
+    result.model.dispose();
+    model.dispose();
+});
+
+test('訓練途中失敗：原模型不變且副本被釋放', async () => {
+    const model = createModel();
+    const weights = snapshot(model);
+    const before = tf.memory().numTensors;
+
+    await assert.rejects(fineTuneModel(model, createSamples(20), {
+        epochs: 3,
+        learningRate: 0.05,
+        onEpochEnd: () => {
+            throw new Error('儲存空間不足');
+        }
+    }), /儲存空間不足/);
+
+    assert.deepEqual(snapshot(model), weights);
+    assert.equal(model.optimizer, undefined);
+    assert.ok(model.layers.every(layer => layer.trainable));
+    assert.equal(tf.memory().numTensors, before);
+    model.dispose();
+});
+
+test('樣本不足時不複製模型', async () => {
+    const model = createModel();
+    const before = tf.memory().numTensors;
+    await assert.rejects(fineTuneModel(model, createSamples(3)), /樣本數不足/);
+    assert.equal(tf.memory().numTensors, before);
+    model.dispose();
+});
@@ -0,0 +1,141 @@
+/**
+ * 🌌 測試共用工具
+ * 以 Node 執行：node --test test/*.test.js (需要可解析的 @tensorflow/tfjs)
+ * lib/ 依賴全域 tf，這裡以 npm 版本取代瀏覽器的 CDN 版本
+ */
+
+import fs from 'node:fs';
+import * as tfjs from '@tensorflow/tfjs';
+import { PatchModelLoader } from '../lib/model-loader.js';
+
+globalThis.tf = tfjs;
+tfjs.env().set('PROD', true);
+
+const MODEL_DIR = new URL('../tfjs_model/', import.meta.url);
+
+// ==================== 模型 ====================
+
+// 將 tfjs converter 輸出 (model.json + 權重檔) 讀成 tf.io 的 ModelArtifacts
+export function readArtifacts(dir = MODEL_DIR) {
+    const json = JSON.parse(fs.readFileSync(new URL('model.json', dir), 'utf8'));
+    const buffers = json.weightsManifest.flatMap(group => group.paths.map(path => fs.readFileSync(new URL(path, dir))));
+    const weightData = new Uint8Array(buffers.reduce((sum, b) => sum + b.length, 0));
+    let offset = 0;
+    for (const buffer of buffers) {
+        weightData.set(buffer, offset);
+        offset += buffer.length;
+    }
+
+    return {
+        modelTopology: json.modelTopology,
+        weightSpecs: json.weightsManifest.flatMap(group => group.weights),
+        weightData: weightData.buffer,
+        format: json.format,
+        generatedBy: json.generatedBy,
+        convertedBy: json.convertedBy
+    };
+}
+
+// 由記憶體中的 ModelArtifacts 建立 IOHandler (經過 Keras 3 相容層)
+export function memoryLoader(artifacts) {
+    return new PatchModelLoader({ load: async () => artifacts });
+}
+
+// 載入隨附的 tfjs_model (與瀏覽器相同的相容性修補)
+export async function loadShippedModel() {
+    return tf.loadLayersModel(memoryLoader(readArtifacts()));
+}
+
+// ==================== IndexedDB ====================
+
+const memoryStore = new Map();
+const storeRoute = url => {
+    if (typeof url !== 'string' || !url.startsWith('indexeddb://')) return null;
+    return {
+        save: async artifacts => {
+            memoryStore.set(url, structuredClone(artifacts));
+            return { modelArtifactsInfo: tfjs.io.getModelArtifactsInfoForJSON(artifacts) };
+        },
+        load: async () => {
+            if (!memoryStore.has(url)) throw new Error(`找不到模型: ${url}`);
+            return structuredClone(memoryStore.get(url));
+        }
+    };
+};
+
+// Node 沒有 indexeddb:// 的儲存方式，以記憶體代替 (儲存、載入、列出與刪除)
+// 回傳保存中的模型 (網址 → ModelArtifacts)
+export function installMemoryStore() {
+    if (globalThis.tf === tfjs) {
+        tfjs.io.registerSaveRouter(storeRoute);
+        tfjs.io.registerLoadRouter(storeRoute);
+        globalThis.tf = {
+            ...tfjs,
+            io: {
+                ...tfjs.io,
+                listModels: async () => Object.fromEntries([...memoryStore.keys()].map(url => [url, {}])),
+                removeModel: async url => {
+                    if (!memoryStore.delete(url)) throw new Error(`找不到模型: ${url}`);
+                }
+            }
+        };
+    }
+    return memoryStore;
+}
+
+// ==================== 合成手寫影像 ====================
+
+// 黑底灰階畫布
+export function createImage(width = 700, height = 320) {
+    return { data: new Uint8Array(width * height), width, height };
+}
+
+// 以圓形筆刷畫一條白色線段
+export function drawLine(image, x0, y0, x1, y1, radius = 7) {
+    const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0)) + 1;
+    for (let i = 0; i <= steps; i++) {
+        const cx = x0 + (x1 - x0) * i / steps;
+        const cy = y0 + (y1 - y0) * i / steps;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy > radius * radius) continue;
+                const x = Math.round(cx + dx);
+                const y = Math.round(cy + dy);
+                if (x >= 0 && y >= 0 && x < image.width && y < image.height) {
+                    image.data[y * image.width + x] = 255;
+                }
+            }
+        }
+    }
+}
+
+// 數字的筆畫 (點座標以 90x150 的方框為準，scale 縮放，左上角為 x, y)
+const DIGIT_STROKES = {
+    0: Array.from({ length: 65 }, (_, i) => {
+        const t = i / 64 * Math.PI * 2;
+        return [45 + 45 * Math.cos(t), 75 + 75 * Math.sin(t)];
+    }),
+    4: [[60, 0], [0, 100], [90, 100], null, [60, 0], [60, 150]],
+    7: [[0, 0], [80, 0], [30, 150]]
+};
+
+// 各數字的筆畫 (點陣列，null 分隔不相連的筆畫)
+export function digitStrokes(digit, x, y, scale = 1) {
+    const strokes = [[]];
+    for (const point of DIGIT_STROKES[digit]) {
+        if (point === null) {
+            strokes.push([]);
+        } else {
+            strokes[strokes.length - 1].push({ x: x + point[0] * scale, y: y + point[1] * scale });
+        }
+    }
+    return strokes;
+}
+
+export function drawDigit(image, digit, x, y, scale = 1) {
+    for (const stroke of digitStrokes(digit, x, y, scale)) {
+        for (let i = 1; i < stroke.length; i++) {
+            drawLine(image, stroke[i - 1].x, stroke[i - 1].y, stroke[i].x, stroke[i].y);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * 🌌 繪圖歷史
+ * 復原/重做的上限、新筆畫清空重做堆疊，以及可復原的清除畫布與上傳圖片
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DrawingHistory } from '../lib/history.js';
+
+const stroke = id => ({ type: 'stroke', stroke: { id } });
+const visibleIds = history => history.visibleStrokes().map(s => s.id);
+
+test('復原與重做依序進行，空堆疊時回傳 null', () => {
+    const history = new DrawingHistory();
+    assert.equal(history.canUndo, false);
+    assert.equal(history.undo(), null);
+    assert.equal(history.redo(), null);
+
+    history.push(stroke(1));
+    history.push(stroke(2));
+    assert.deepEqual(history.undo(), stroke(2));
+    assert.deepEqual(visibleIds(history), [1]);
+    assert.equal(history.canRedo, true);
+
+    assert.deepEqual(history.redo(), stroke(2));
+    assert.deepEqual(visibleIds(history), [1, 2]);
+    assert.equal(history.canRedo, false);
+});
+
+test('超過上限的操作無法復原，但仍留在畫面上', () => {
+    const history = new DrawingHistory(3);
+    for (let id = 1; id <= 5; id++) history.push(stroke(id));
+
+    let undone = 0;
+    while (history.undo()) undone++;
+    assert.equal(undone, 3);
+    assert.equal(history.canUndo, false);
+    assert.deepEqual(visibleIds(history), [1, 2]);
+
+    // 全部重做回到原本的畫面
+    while (history.redo());
+    assert.deepEqual(visibleIds(history), [1, 2, 3, 4, 5]);
+});
+
+test('復原後畫新的一筆會清空重做堆疊', () => {
+    const history = new DrawingHistory();
+    history.push(stroke(1));
+    history.push(stroke(2));
+    history.undo();
+
+    history.push(stroke(3));
+    assert.equal(history.canRedo, false);
+    assert.equal(history.redo(), null);
+    assert.deepEqual(visibleIds(history), [1, 3]);
+});
+
+test('清除畫布可以復原', () => {
+    const history = new DrawingHistory();
+    history.push(stroke(1));
+    history.push(stroke(2));
+    history.push({ type: 'clear' });
+    assert.deepEqual(visibleIds(history), []);
+    assert.deepEqual(history.visibleOperations(), []);
+
+    assert.deepEqual(history.undo(), { type: 'clear' });
+    assert.deepEqual(visibleIds(history), [1, 2]);
+
+    history.redo();
+    history.push(stroke(3));
+    assert.deepEqual(visibleIds(history), [3]);
+});
+
+test('上傳圖片會重設畫布，圖片本身保留在可見操作中', () => {
+    const history = new DrawingHistory();
+    const image = { type: 'image', image: 'photo', x: 0, y: 0, w: 10, h: 10 };
+    history.push(stroke(1));
+    history.push(image);
+    history.push(stroke(2));
+
+    assert.deepEqual(history.visibleOperations(), [image, stroke(2)]);
+    history.undo();
+    history.undo();
+    assert.deepEqual(visibleIds(history), [1]);
+});
+
+test('清除畫布移出可復原範圍後，之前的操作被丟棄', () => {
+    const history = new DrawingHistory(2);
+    history.push(stroke(1));
+    history.push({ type: 'clear' });
+    history.push(stroke(2));
+    history.push(stroke(3));
+
+    assert.deepEqual(history.committed, []);
+    assert.deepEqual(visibleIds(history), [2, 3]);
+});
+
+test('reset 清空所有堆疊', () => {
+    const history = new DrawingHistory();
+    history.push(stroke(1));
+    history.push(stroke(2));
+    history.undo();
+    history.reset();
+    assert.equal(history.canUndo, false);
+    assert.equal(history.canRedo, false);
+    assert.deepEqual(history.visibleOperations(), []);
+});
@@ -0,0 +1,222 @@
+/**
+ * 🌌 Keras 3 相容層
+ * 以 Keras 3 + tfjs converter 常見的輸出 (fixture) 確認每條改寫規則的結果，
+ * 並確認改寫後 tf.loadLayersModel 可以載入
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readArtifacts, memoryLoader } from './helpers.js';
+import { applyCompatibilityRules, walkLayers } from '../lib/keras-compat.js';
+import { ModelRegistry } from '../lib/model-registry.js';
+
+// ==================== Fixture ====================
+
+const policy = name => ({ module: 'keras', class_name: 'DTypePolicy', config: { name }, registered_name: null });
+
+const kerasTensor = (layer, shape) => ({
+    class_name: '__keras_tensor__',
+    config: { shape, dtype: 'float32', keras_history: [layer, 0, 0] }
+});
+
+// converter 輸出的 modelTopology 外層
+function topology(modelConfig) {
+    return { keras_version: '3.10.0', backend: 'tensorflow', model_config: modelConfig };
+}
+
+// 權重全為 0 的 ModelArtifacts
+function artifacts(modelTopology, weights) {
+    const weightSpecs = weights.map(([name, shape]) => ({ name, shape, dtype: 'float32' }));
+    const size = weightSpecs.reduce((sum, spec) => sum + spec.shape.reduce((a, b) => a * b, 1), 0);
+    return {
+        modelTopology,
+        weightSpecs,
+        weightData: new Float32Array(size).buffer,
+        format: 'layers-model',
+        generatedBy: 'keras v3.10.0',
+        convertedBy: 'TensorFlow.js Converter v4.22.0'
+    };
+}
+
+function sequential(inputShape, dtype = policy('float32'), prefix = 'sequential') {
+    const units = 10;
+    const flat = inputShape.reduce((a, b) => a * b, 1);
+    return artifacts(topology({
+        class_name: 'Sequential',
+        config: {
+            name: 'sequential',
+            dtype: policy('float32'),
+            layers: [
+                { class_name: 'InputLayer', config: { batch_shape: [null, ...inputShape], dtype: 'float32', sparse: false, name: 'input_layer' } },
+                { class_name: 'Flatten', config: { name: 'flatten', dtype: policy('float32'), data_format: 'channels_last' } },
+                { class_name: 'Dense', config: { name: 'dense', dtype, units, activation: 'softmax', use_bias: true } }
+            ]
+        }
+    }), [[`${prefix}/dense/kernel`, [flat, units]], [`${prefix}/dense/bias`, [units]]]);
+}
+
+function functional() {
+    return artifacts(topology({
+        class_name: 'Functional',
+        config: {
+            name: 'functional',
+            layers: [
+                {
+                    class_name: 'InputLayer',
+                    config: { batch_shape: [null, 28, 28, 1], dtype: 'float32', name: 'input_layer' },
+                    name: 'input_layer',
+                    inbound_nodes: []
+                },
+                {
+                    class_name: 'Flatten',
+                    config: { name: 'flatten', dtype: policy('float32') },
+                    name: 'flatten',
+                    inbound_nodes: [{ args: [kerasTensor('input_layer', [null, 28, 28, 1])], kwargs: {} }]
+                },
+                {
+                    class_name: 'Dense',
+                    config: { name: 'dense', dtype: policy('float32'), units: 10, activation: 'softmax' },
+                    name: 'dense',
+                    inbound_nodes: [{ args: [kerasTensor('flatten', [null, 784])], kwargs: {} }]
+                }
+            ],
+            input_layers: ['input_layer', 0, 0],
+            output_layers: ['dense', 0, 0]
+        }
+    }), [['dense/kernel', [784, 10]], ['dense/bias', [10]]]);
+}
+
+// 外層 Sequential 包著內層 Sequential，權重名稱帶兩層前綴
+function nested() {
+    return artifacts(topology({
+        class_name: 'Sequential',
+        config: {
+            name: 'outer',
+            layers: [
+                { class_name: 'InputLayer', config: { batch_shape: [null, 28, 28, 1], dtype: 'float32', name: 'input_layer' } },
+                { class_name: 'Flatten', config: { name: 'flatten', dtype: policy('float32') } },
+                {
+                    class_name: 'Sequential',
+                    config: {
+                        name: 'inner',
+                        layers: [
+                            { class_name: 'InputLayer', config: { batch_shape: [null, 784], dtype: 'float32', name: 'inner_input' } },
+                            { class_name: 'Dense', config: { name: 'dense', dtype: policy('float32'), units: 10, activation: 'softmax' } }
+                        ]
+                    }
+                }
+            ]
+        }
+    }), [['outer/inner/dense/kernel', [784, 10]], ['outer/inner/dense/bias', [10]]]);
+}
+
+// 改寫一份副本以檢查結果，另一份交給 PatchModelLoader 實際載入
+async function rewriteAndLoad(build) {
+    const rewritten = build();
+    const applied = applyCompatibilityRules(rewritten);
+    const model = await tf.loadLayersModel(memoryLoader(build()));
+    return { rewritten, applied, model };
+}
+
+function findLayer(artifactsOrTopology, name) {
+    let found = null;
+    walkLayers(artifactsOrTopology.modelTopology, node => {
+        if (node.config.name === name) found = node;
+    });
+    return found;
+}
+
+const ruleNames = applied => applied.map(rule => rule.name);
+
+// ==================== 規則 ====================
+
+test('Sequential：由 batch_shape 推得 batch_input_shape 並移除權重前綴', async () => {
+    const { rewritten, applied, model } = await rewriteAndLoad(() => sequential([28, 28, 1]));
+
+    assert.deepEqual(findLayer(rewritten, 'input_layer').config.batch_input_shape, [null, 28, 28, 1]);
+    assert.deepEqual(rewritten.weightSpecs.map(spec => spec.name), ['dense/kernel', 'dense/bias']);
+    assert.deepEqual(ruleNames(applied), ['input-shape', 'dtype-policy', 'weight-prefix']);
+
+    assert.deepEqual(model.inputs[0].shape, [null, 28, 28, 1]);
+    assert.deepEqual(model.outputs[0].shape, [null, 10]);
+    model.dispose();
+});
+
+test('InputLayer 只有 shape 或完全沒有形狀時', () => {
+    const build = () => sequential([28, 28, 1]);
+    const withShape = build();
+    const input = findLayer(withShape, 'input_layer');
+    delete input.config.batch_shape;
+    input.config.shape = [28, 28, 1];
+    applyCompatibilityRules(withShape);
+    assert.deepEqual(input.config.batch_input_shape, [null, 28, 28, 1]);
+
+    const bare = build();
+    delete findLayer(bare, 'input_layer').config.batch_shape;
+    applyCompatibilityRules(bare, { defaultInputShape: [null, 28, 28, 1] });
+    assert.deepEqual(findLayer(bare, 'input_layer').config.batch_input_shape, [null, 28, 28, 1]);
+});
+
+test('Functional：inbound_nodes 的 {args, kwargs} 轉成舊版巢狀陣列', async () => {
+    const { rewritten, applied, model } = await rewriteAndLoad(functional);
+
+    assert.deepEqual(findLayer(rewritten, 'flatten').inbound_nodes, [[['input_layer', 0, 0, {}]]]);
+    assert.deepEqual(findLayer(rewritten, 'dense').inbound_nodes, [[['flatten', 0, 0, {}]]]);
+    assert.deepEqual(findLayer(rewritten, 'input_layer').inbound_nodes, []);
+
+    const config = rewritten.modelTopology.model_config.config;
+    assert.deepEqual(config.input_layers, [['input_layer', 0, 0]]);
+    assert.deepEqual(config.output_layers, [['dense', 0, 0]]);
+    assert.ok(ruleNames(applied).includes('functional-inbound-nodes'));
+    assert.ok(ruleNames(applied).includes('functional-io-layers'));
+
+    assert.deepEqual(model.outputs[0].shape, [null, 10]);
+    model.dispose();
+});
+
+test('DTypePolicy 物件改成字串，mixed_* 以 float32 載入', async () => {
+    const { rewritten, model } = await rewriteAndLoad(() => sequential([28, 28, 1], policy('mixed_float16')));
+
+    assert.equal(findLayer(rewritten, 'flatten').config.dtype, 'float32');
+    assert.equal(findLayer(rewritten, 'dense').config.dtype, 'float32');
+    assert.equal(rewritten.modelTopology.model_config.config.dtype, 'float32');
+
+    const output = model.predict(tf.zeros([1, 28, 28, 1]));
+    assert.equal(output.dtype, 'float32');
+    output.dispose();
+    model.dispose();
+});
+
+test('巢狀模型的權重名稱去掉所有外層前綴', async () => {
+    const { rewritten, model } = await rewriteAndLoad(nested);
+
+    assert.deepEqual(rewritten.weightSpecs.map(spec => spec.name), ['dense/kernel', 'dense/bias']);
+    assert.deepEqual(model.outputs[0].shape, [null, 10]);
+    model.dispose();
+});
+
+test('不支援的輸入形狀：相容層可載入，登錄表拒絕', async () => {
+    const { rewritten, model } = await rewriteAndLoad(() => sequential([32, 32, 3]));
+
+    assert.deepEqual(findLayer(rewritten, 'input_layer').config.batch_input_shape, [null, 32, 32, 3]);
+    assert.deepEqual(model.inputs[0].shape, [null, 32, 32, 3]);
+
+    const registry = new ModelRegistry();
+    assert.throws(() => registry.add({ id: 'rgb', source: 'url', model }), /不支援 32x32x3 輸入的模型/);
+});
+
+test('隨附的 tfjs_model (實際的 converter 輸出)', async () => {
+    const { applied, model } = await rewriteAndLoad(readArtifacts);
+
+    assert.deepEqual(ruleNames(applied), ['input-shape', 'dtype-policy', 'weight-prefix']);
+    assert.deepEqual(model.inputs[0].shape, [null, 28, 28, 1]);
+    assert.deepEqual(model.outputs[0].shape, [null, 10]);
+    model.dispose();
+});
+
+test('fixture 未經相容層時無法載入 (確認 fixture 確實是 Keras 3 格式)', async () => {
+    for (const build of [() => sequential([28, 28, 1]), functional, nested]) {
+        const raw = build();
+        await assert.rejects(tf.loadLayersModel(tf.io.fromMemory(raw)));
+    }
+});
@@ -0,0 +1,83 @@
+/**
+ * 🌌 模型登錄表
+ * 前處理與推論固定為 28x28x1，其他輸入形狀的模型在登錄時就被拒絕並釋放
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installMemoryStore } from './helpers.js';
+import { ModelRegistry, resolveMetadata, STORED_PREFIX } from '../lib/model-registry.js';
+
+function createModel(inputShape, units = 10) {
+    return tf.sequential({
+        layers: [
+            tf.layers.flatten({ inputShape }),
+            tf.layers.dense({ units, activation: 'softmax' })
+        ]
+    });
+}
+
+test('28x28x1 的模型可登錄，未指定標籤時以類別索引為標籤', async () => {
+    const registry = new ModelRegistry();
+    const entry = registry.add({ id: 'a', source: 'url', model: createModel([28, 28, 1]) });
+    assert.deepEqual(entry.metadata.inputShape, [28, 28, 1]);
+    assert.equal(entry.metadata.labels.length, 10);
+    assert.equal(registry.active, entry);
+    await registry.remove('a');
+});
+
+test('其他輸入形狀的模型被拒絕，且不殘留張量', () => {
+    const registry = new ModelRegistry();
+    const before = tf.memory().numTensors;
+    const model = createModel([32, 32, 3]);
+
+    assert.throws(() => registry.add({ id: 'b', source: 'url', model }), /不支援 32x32x3 輸入的模型/);
+    assert.equal(registry.list().length, 0);
+    assert.equal(registry.active, null);
+    assert.equal(tf.memory().numTensors, before);
+});
+
+test('標籤數與模型輸出不符時拒絕', () => {
+    const model = createModel([28, 28, 1], 12);
+    assert.throws(() => resolveMetadata(model, { labels: 'digits' }), /類別標籤數/);
+    model.dispose();
+});
+
+test('由檔案載入的模型：重新開啟後還原，移除時一併刪除 IndexedDB 副本', async () => {
+    const store = installMemoryStore();
+    const url = `${STORED_PREFIX}digits-test`;
+
+    // 與 loadFromFiles 相同：另存到 IndexedDB 後以 'files' 登錄
+    const model = createModel([28, 28, 1]);
+    model.setUserDefinedMetadata({ name: 'digits.json' });
+    await model.save(url);
+    const first = new ModelRegistry();
+    first.add({ id: url, name: 'digits.json', url, source: 'files', model });
+
+    // 重新開啟頁面
+    const second = new ModelRegistry();
+    const [restored] = await second.restoreStored();
+    assert.equal(restored.id, url);
+    assert.equal(restored.name, 'digits.json');
+    assert.equal(restored.source, 'files');
+
+    await second.remove(url);
+    assert.equal(store.has(url), false);
+    assert.deepEqual(await new ModelRegistry().restoreStored(), []);
+    await first.remove(url);
+});
+
+test('微調後重新載入由檔案另存的模型仍可刪除副本', async () => {
+    const store = installMemoryStore();
+    const url = `${STORED_PREFIX}reloaded-test`;
+    const saved = createModel([28, 28, 1]);
+    await saved.save(url);
+    saved.dispose();
+
+    const registry = new ModelRegistry();
+    const entry = await registry.loadFromUrl(url, { id: url, name: 'reloaded.json' });
+    assert.equal(entry.source, 'files');
+
+    await registry.remove(url);
+    assert.equal(store.has(url), false);
+});
@@ -0,0 +1,151 @@
+/**
+ * 🌌 透視校正
+ * 以已知的單應性矩陣合成斜拍的紙張，確認偵測到的四邊形與拉正後的內容，
+ * 並確認退化的四邊形 (共線、面積為 0、非四邊形的亮區) 不會被拉正
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeHomography, applyHomography, mapBox, detectQuad, warpPerspective } from '../lib/perspective.js';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// 紙張 200x140，(120, 40) 起有一塊 30x30 的黑色記號
+const PAPER = { width: 200, height: 140 };
+const MARK = { x: 120, y: 40, w: 30, h: 30 };
+const QUAD = { tl: { x: 70, y: 40 }, tr: { x: 270, y: 62 }, br: { x: 252, y: 205 }, bl: { x: 48, y: 180 } };
+
+const corners = ({ tl, tr, br, bl }) => [tl, tr, br, bl];
+const rectCorners = (w, h) => [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h }];
+
+// 依畫面 → 紙張的對應逐像素取樣，產生斜拍的灰階影像
+function photographPaper() {
+    const toPaper = computeHomography(corners(QUAD), rectCorners(PAPER.width, PAPER.height));
+    const data = new Uint8Array(WIDTH * HEIGHT);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const p = applyHomography(toPaper, x + 0.5, y + 0.5);
+            const onPaper = p.x >= 0 && p.x < PAPER.width && p.y >= 0 && p.y < PAPER.height;
+            const onMark = p.x >= MARK.x && p.x < MARK.x + MARK.w && p.y >= MARK.y && p.y < MARK.y + MARK.h;
+            data[y * WIDTH + x] = !onPaper ? 30 : onMark ? 20 : 230;
+        }
+    }
+    return { data, width: WIDTH, height: HEIGHT };
+}
+
+// 暗色像素的外接矩形 (margin 略過邊緣，拉正後的邊緣可能帶到紙張外的背景)
+function darkBox(image, margin = 0) {
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+    for (let y = margin; y < image.height - margin; y++) {
+        for (let x = margin; x < image.width - margin; x++) {
+            if (image.data[y * image.width + x] >= 128) continue;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+function assertNear(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} 與 ${expected} 相差超過 ${tolerance}`);
+}
+
+// ==================== 單應性矩陣 ====================
+
+test('單應性矩陣將四個角對應到目標位置', () => {
+    const h = computeHomography(rectCorners(100, 50), corners(QUAD));
+    rectCorners(100, 50).forEach((point, i) => {
+        const mapped = applyHomography(h, point.x, point.y);
+        assertNear(mapped.x, corners(QUAD)[i].x, 1e-6, `角 ${i} x`);
+        assertNear(mapped.y, corners(QUAD)[i].y, 1e-6, `角 ${i} y`);
+    });
+});
+
+test('正反方向的單應性矩陣互為反函數', () => {
+    const forward = computeHomography(rectCorners(100, 50), corners(QUAD));
+    const inverse = computeHomography(corners(QUAD), rectCorners(100, 50));
+    for (const [x, y] of [[10, 10], [50, 25], [93, 41]]) {
+        const back = applyHomography(inverse, ...Object.values(applyHomography(forward, x, y)));
+        assertNear(back.x, x, 1e-6, 'x');
+        assertNear(back.y, y, 1e-6, 'y');
+    }
+});
+
+// ==================== 偵測與拉正 ====================
+
+test('斜拍的紙張：偵測四個角並拉正回原本的內容', () => {
+    const photo = photographPaper();
+
+    const quad = detectQuad(photo);
+    assert.ok(quad, '應偵測到紙張');
+    for (const name of ['tl', 'tr', 'br', 'bl']) {
+        assertNear(quad[name].x, QUAD[name].x, 6, `${name}.x`);
+        assertNear(quad[name].y, QUAD[name].y, 6, `${name}.y`);
+    }
+
+    const warped = warpPerspective(photo, quad, PAPER.width, PAPER.height);
+    const { image, homography } = warped;
+    assertNear(image.width / image.height, PAPER.width / PAPER.height, 0.1, '長寬比');
+
+    // 記號回到紙張上的相對位置
+    const scale = image.width / PAPER.width;
+    const mark = darkBox(image, 8);
+    assertNear(mark.x, MARK.x * scale, 5, '記號 x');
+    assertNear(mark.y, MARK.y * scale, 5, '記號 y');
+    assertNear(mark.w, MARK.w * scale, 5, '記號寬');
+    assertNear(mark.h, MARK.h * scale, 5, '記號高');
+
+    // mapBox 將拉正後的外框換回原畫面
+    const inPhoto = mapBox(homography, mark);
+    // 原畫面中只有記號為 20 (紙張外的背景為 30)
+    const expected = darkBox({ ...photo, data: photo.data.map(v => v === 20 ? 0 : 255) });
+    assertNear(inPhoto.x, expected.x, 6, '原畫面 x');
+    assertNear(inPhoto.y, expected.y, 6, '原畫面 y');
+    assertNear(inPhoto.x + inPhoto.w, expected.x + expected.w, 6, '原畫面右緣');
+    assertNear(inPhoto.y + inPhoto.h, expected.y + expected.h, 6, '原畫面下緣');
+});
+
+test('拉正的輸出大小以長寬比縮放到上限內', () => {
+    const photo = photographPaper();
+    const { image } = warpPerspective(photo, QUAD, 100, 100);
+    assert.ok(image.width <= 100 && image.height <= 100);
+    assert.equal(image.width, 100);
+});
+
+// ==================== 退化情況 ====================
+
+test('共線的點無法求出單應性矩陣', () => {
+    const line = [{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 20 }, { x: 30, y: 30 }];
+    assert.equal(computeHomography(rectCorners(10, 10), line), null);
+});
+
+test('退化的四邊形不會被拉正', () => {
+    const photo = photographPaper();
+    const point = { x: 50, y: 50 };
+    assert.equal(warpPerspective(photo, { tl: point, tr: point, br: point, bl: point }), null);
+
+    // 四個角共線：寬度不為 0，但無法求出單應性矩陣
+    const collinear = { tl: { x: 10, y: 10 }, tr: { x: 60, y: 10 }, br: { x: 110, y: 10 }, bl: { x: 160, y: 10 } };
+    assert.equal(warpPerspective(photo, collinear), null);
+});
+
+test('沒有紙張、紙張填滿畫面或亮區不是四邊形時偵測不到', () => {
+    const blank = { data: new Uint8Array(WIDTH * HEIGHT).fill(40), width: WIDTH, height: HEIGHT };
+    assert.equal(detectQuad(blank), null);
+
+    const full = { data: new Uint8Array(WIDTH * HEIGHT).fill(230), width: WIDTH, height: HEIGHT };
+    full.data.fill(30, 0, WIDTH);
+    assert.equal(detectQuad(full), null);
+
+    // 圓形亮區：極值點圍出的四邊形比亮區小很多
+    const disc = { data: new Uint8Array(WIDTH * HEIGHT).fill(30), width: WIDTH, height: HEIGHT };
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            if (Math.hypot(x - 160, y - 120) < 100) disc.data[y * WIDTH + x] = 230;
+        }
+    }
+    assert.equal(detectQuad(disc), null);
+});
@@ -0,0 +1,111 @@
+/**
+ * 🌌 單一數字前處理
+ * 以固定輸入比對各預設組合的輸出 (Float32Array 位元組的 SHA-256 前 16 碼)。
+ * legacy-* 的期望值由統一管線之前的 advancedPreprocess / pythonStylePreprocess 產生 (5c2d908 的上一版)，
+ * 確認統一後逐位元相同；mnist 沒有舊版可比對，期望值為目前輸出的快照
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { createImage, drawLine, drawDigit } from './helpers.js';
+import {
+    preprocessDigit, advancedPreprocess, pythonStylePreprocess, calculateImageMoments,
+    denormalizeToUint8, cropRegion, PREPROCESS_PRESETS
+} from '../lib/image-processing.js';
+
+// ==================== 固定輸入 ====================
+
+// 畫好後裁成緊貼筆畫的 ROI (黑底白字)
+function strokeRoi(draw) {
+    const image = createImage(200, 200);
+    draw(image);
+    let minX = image.width, minY = image.height, maxX = -1, maxY = -1;
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            if (image.data[y * image.width + x] === 0) continue;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+    }
+    return cropRegion(image, minX, minY, maxX - minX + 1, maxY - minY + 1);
+}
+
+// 非二值的灰階漸層 (檢查 legacy-handwriting 的 128 門檻與 legacy-camera 保留灰階)
+function gradient(width, height) {
+    const data = new Uint8Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = ((i % width) * 37 + Math.floor(i / width) * 11) % 256;
+    }
+    return { data, width, height };
+}
+
+// [名稱, 建立輸入, deskew]
+const CASES = [
+    ['digit-0', () => strokeRoi(image => drawDigit(image, 0, 20, 20, 0.8)), false],
+    ['digit-4', () => strokeRoi(image => drawDigit(image, 4, 20, 20, 0.7)), false],
+    ['digit-7', () => strokeRoi(image => drawDigit(image, 7, 20, 20, 0.9)), false],
+    ['slanted-1', () => strokeRoi(image => drawLine(image, 60, 20, 95, 170, 5)), false],
+    ['slanted-1 deskew', () => strokeRoi(image => drawLine(image, 60, 20, 95, 170, 5)), true],
+    ['wide-bar', () => strokeRoi(image => drawLine(image, 20, 50, 160, 58, 4)), false],
+    ['gradient', () => gradient(23, 31), false],
+    ['single-pixel', () => ({ data: Uint8Array.of(255), width: 1, height: 1 }), false]
+];
+
+// 名稱 → [legacy-handwriting, legacy-camera, mnist]
+const GOLDEN = {
+    'digit-0': ['10193e627dd32671', '59f8deba8190cdd2', '9f4d35040391b890'],
+    'digit-4': ['4b09c289b4eed08d', '6dbfd35906363128', '7efdf813931706fd'],
+    'digit-7': ['ead063dc20fd812a', 'aefb95d2c814d7e8', 'adfd97838c734054'],
+    'slanted-1': ['9d227b0ac5910d0f', '5611ea144bd2311d', 'ca375979dc31b055'],
+    'slanted-1 deskew': ['fbfb85f9d7eb592c', '7a8cc4f6213ca65f', '65dda736df3b71a6'],
+    'wide-bar': ['7059ba5241f67cfb', 'cd76bb583d774cc6', '8a477885fb6e7b76'],
+    'gradient': ['1cbf0f19227a4e01', '838b2c5873039c37', '43802a885d0d7862'],
+    'single-pixel': ['c0acddaeb5e08ca7', '91777516a975059f', '7f530fca854abb90']
+};
+
+const PRESETS = ['legacy-handwriting', 'legacy-camera', 'mnist'];
+
+function digest(input) {
+    const bytes = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    return crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 16);
+}
+
+// ==================== 預設組合 ====================
+
+test('每個預設組合都有期望值', () => {
+    assert.deepEqual(Object.keys(PREPROCESS_PRESETS), PRESETS);
+    assert.deepEqual(Object.keys(GOLDEN), CASES.map(([name]) => name));
+});
+
+PRESETS.forEach((preset, column) => {
+    test(`${preset}：固定輸入的輸出與期望值逐位元相同`, () => {
+        for (const [name, build, deskew] of CASES) {
+            const output = preprocessDigit(build(), { preset, deskew });
+            assert.ok(output instanceof Float32Array, name);
+            assert.equal(output.length, 28 * 28, name);
+            assert.equal(digest(output), GOLDEN[name][column], name);
+        }
+    });
+});
+
+test('舊版函數名稱與對應的預設組合相同', () => {
+    for (const [name, build, deskew] of CASES) {
+        assert.equal(digest(advancedPreprocess(build(), { deskew })), GOLDEN[name][0], name);
+        assert.equal(digest(pythonStylePreprocess(build(), { deskew })), GOLDEN[name][1], name);
+    }
+});
+
+test('mnist：數字縮放到 20x20 以內並以質心置中', () => {
+    for (const [name, build] of CASES.slice(0, 4)) {
+        const pixels = denormalizeToUint8(preprocessDigit(build(), { preset: 'mnist' }));
+        const moments = calculateImageMoments({ data: pixels, width: 28, height: 28 });
+        assert.ok(Math.abs(moments.m10 / moments.m00 - 14) <= 1, name);
+        assert.ok(Math.abs(moments.m01 / moments.m00 - 14) <= 1, name);
+
+        const rows = [...Array(28).keys()].filter(y => pixels.subarray(y * 28, y * 28 + 28).some(Boolean));
+        assert.ok(rows.length <= 20, name);
+    }
+});
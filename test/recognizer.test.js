@@ -0,0 +1,50 @@
+/**
+ * 🌌 辨識結果的版面
+ * 低信心度數字依 uncertainPolicy 以佔位符號保留或捨棄
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadShippedModel, createImage, drawDigit } from './helpers.js';
+import { recognize, PLACEHOLDER } from '../lib/recognizer.js';
+
+let model;
+before(async () => {
+    model = await loadShippedModel();
+});
+
+// 上下兩行：第一行 "07"，第二行 "4"
+function twoLines() {
+    const image = createImage();
+    drawDigit(image, 0, 100, 20, 0.8);
+    drawDigit(image, 7, 220, 20, 0.8);
+    drawDigit(image, 4, 100, 180, 0.8);
+    return image;
+}
+
+test('整行都是低信心度數字時仍以佔位符號保留 (placeholder)', async () => {
+    const result = await recognize(twoLines(), { model, confidenceThreshold: 1, uncertainPolicy: 'placeholder' });
+    assert.equal(result.text, `${PLACEHOLDER}${PLACEHOLDER}\n${PLACEHOLDER}`);
+    assert.equal(result.lines.length, 2);
+    assert.equal(result.digits.length, 0);
+    assert.equal(result.rejected.length, 3);
+    assert.ok(result.lines.every(line => line.digits.every(entry => entry.uncertain)));
+});
+
+test('只有部分數字低信心度時，佔位符號留在原位置', async () => {
+    const baseline = await recognize(twoLines(), { model });
+    assert.equal(baseline.text, '07\n4');
+
+    // 門檻設在第二行數字的信心度，使其成為低信心度
+    const threshold = baseline.lines[1].digits[0].confidence;
+    const result = await recognize(twoLines(), { model, confidenceThreshold: threshold, uncertainPolicy: 'placeholder' });
+    assert.equal(result.lines.length, 2);
+    assert.equal(result.lines[1].text, PLACEHOLDER);
+});
+
+test('drop 時低信心度數字與空行都被捨棄', async () => {
+    const result = await recognize(twoLines(), { model, confidenceThreshold: 1, uncertainPolicy: 'drop' });
+    assert.equal(result.text, '');
+    assert.deepEqual(result.lines, []);
+    assert.equal(result.rejected.length, 3);
+});
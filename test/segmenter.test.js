@@ -0,0 +1,59 @@
+/**
+ * 🌌 連體字切割
+ * 以合成的相連數字確認自動切割 (splitPolicy: 'auto') 切出正確的個數與類別
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadShippedModel, createImage, drawDigit } from './helpers.js';
+import { recognize } from '../lib/recognizer.js';
+import { estimateDigitCount } from '../lib/segmenter.js';
+
+let model;
+before(async () => {
+    model = await loadShippedModel();
+});
+
+// 依序畫出數字 ([數字, 左邊 x])，相鄰數字的筆畫互相重疊
+function drawTouching(digits) {
+    const image = createImage();
+    for (const [digit, x] of digits) drawDigit(image, digit, x, 80, 0.9);
+    return image;
+}
+
+test('估計個數：寬大於高時至少為 2', () => {
+    assert.equal(estimateDigitCount(60, 150), 1);
+    assert.equal(estimateDigitCount(160, 150), 2);
+    assert.equal(estimateDigitCount(240, 150), 3);
+});
+
+test('兩個相連的數字', async () => {
+    const image = drawTouching([[4, 100], [0, 168]]);
+    const result = await recognize(image, { model, splitPolicy: 'auto' });
+    assert.equal(result.text, '40');
+});
+
+test('兩個相連的 0 不會被當成單一的 0', async () => {
+    const image = drawTouching([[0, 100], [0, 172]]);
+    const result = await recognize(image, { model, splitPolicy: 'auto' });
+    assert.equal(result.text, '00');
+});
+
+test('三個相連的 0', async () => {
+    const image = drawTouching([[0, 100], [0, 172], [0, 244]]);
+    const result = await recognize(image, { model, splitPolicy: 'auto' });
+    assert.equal(result.text, '000');
+});
+
+test('四個相連的數字', async () => {
+    const image = drawTouching([[0, 60], [7, 125], [4, 188], [0, 258]]);
+    const result = await recognize(image, { model, splitPolicy: 'auto' });
+    assert.equal(result.text, '0740');
+    assert.equal(result.digits.length, 4);
+});
+
+test('單一數字不會被切開', async () => {
+    const image = drawTouching([[0, 300]]);
+    const result = await recognize(image, { model, splitPolicy: 'auto' });
+    assert.equal(result.text, '0');
+});
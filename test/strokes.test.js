@@ -0,0 +1,50 @@
+/**
+ * 🌌 筆畫分組
+ * 筆畫模式 (直接依筆畫分組) 與點陣模式對同一份手寫應得到相同的結果
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadShippedModel, digitStrokes } from './helpers.js';
+import { recognize } from '../lib/recognizer.js';
+import { groupStrokes, rasterizeStrokes } from '../lib/strokes.js';
+
+const WIDTH = 700;
+const HEIGHT = 320;
+
+let model;
+before(async () => {
+    model = await loadShippedModel();
+});
+
+// [數字, x, y] 轉成 StrokeModel 格式的筆畫
+function createStrokes(digits, scale) {
+    return digits.flatMap(([digit, x, y]) => digitStrokes(digit, x, y, scale).map(points => ({
+        tool: 'pen',
+        width: 15,
+        points: points.map(point => ({ ...point, t: 0 }))
+    })));
+}
+
+test('上下兩行的數字不會被合併成同一個字', async () => {
+    // 每行約 110px 高，行距 40px
+    const strokes = createStrokes([
+        [7, 200, 40], [0, 300, 40],
+        [0, 200, 190], [7, 300, 190]
+    ], 110 / 150);
+    assert.equal(groupStrokes(strokes).length, 4);
+
+    const raster = rasterizeStrokes(strokes, WIDTH, HEIGHT);
+    const fromPixels = await recognize(raster, { model });
+    const fromStrokes = await recognize(raster, { model, strokes });
+    assert.equal(fromPixels.text, '70\n07');
+    assert.equal(fromStrokes.text, '70\n07');
+    assert.equal(fromStrokes.lines.length, 2);
+});
+
+test('同一個字分開的筆畫仍合併為一組', () => {
+    // 「4」由兩筆組成
+    const strokes = createStrokes([[4, 200, 80]], 1);
+    assert.equal(strokes.length, 2);
+    assert.equal(groupStrokes(strokes).length, 1);
+});
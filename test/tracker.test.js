@@ -0,0 +1,157 @@
+/**
+ * 🌌 鏡頭多影格投票
+ * 以合成的逐影格 recognize() 結果確認 IoU 配對、視窗投票、確認與移除
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DigitTracker, TRACKER_DEFAULTS } from '../lib/tracker.js';
+
+// 一個偵測：[數字, 機率]，其餘機率給下一個數字
+function detection(digit, probability, box = { x: 10, y: 10, w: 20, h: 40 }) {
+    return {
+        box,
+        topK: [
+            { digit, label: String(digit), probability },
+            { digit: (digit + 1) % 10, label: String((digit + 1) % 10), probability: 1 - probability }
+        ]
+    };
+}
+
+// 一個影格的 recognize() 結果 (追蹤器同時取用 digits 與 rejected)
+function frame(...detections) {
+    return { text: '', lines: [], digits: detections, rejected: [] };
+}
+
+function feed(tracker, count, ...detections) {
+    let view;
+    for (let i = 0; i < count; i++) view = tracker.update(frame(...detections));
+    return view;
+}
+
+// ==================== 確認門檻 ====================
+
+test('確認門檻預設為多影格平均 0.9', () => {
+    const tracker = new DigitTracker();
+    assert.equal(feed(tracker, 8, detection(3, 0.85)).text, '');
+    assert.equal(feed(new DigitTracker(), 8, detection(3, 0.95)).text, '3');
+    assert.equal(TRACKER_DEFAULTS.commitThreshold, 0.9);
+});
+
+test('調整確認門檻後立即生效，null 恢復預設', () => {
+    const tracker = new DigitTracker();
+    tracker.setCommitThreshold(0.8);
+    assert.equal(feed(tracker, 8, detection(3, 0.85)).text, '3');
+
+    tracker.setCommitThreshold(0.99);
+    tracker.reset();
+    assert.equal(feed(tracker, 8, detection(3, 0.95)).text, '');
+
+    tracker.setCommitThreshold(null);
+    tracker.reset();
+    assert.equal(feed(tracker, 8, detection(3, 0.95)).text, '3');
+});
+
+// ==================== IoU 配對 ====================
+
+const box = (x, y = 10) => ({ x, y, w: 20, h: 40 });
+
+test('框稍微移動仍視為同一個目標，離開太遠則建立新目標', () => {
+    const tracker = new DigitTracker();
+    const first = tracker.update(frame(detection(3, 0.95, box(10))));
+    const moved = tracker.update(frame(detection(3, 0.95, box(14))));
+    assert.equal(moved.rejected[0].trackId, first.rejected[0].trackId);
+    assert.deepEqual(moved.rejected[0].box, box(14));
+
+    const far = tracker.update(frame(detection(3, 0.95, box(200))));
+    assert.equal(far.rejected.length, 1);
+    assert.notEqual(far.rejected[0].trackId, first.rejected[0].trackId);
+    assert.equal(tracker.tracks.length, 2);
+});
+
+test('同一影格的多個偵測各自配對到最接近的目標', () => {
+    const tracker = new DigitTracker();
+    const initial = tracker.update(frame(detection(1, 0.95, box(10)), detection(2, 0.95, box(40))));
+    const ids = Object.fromEntries(initial.rejected.map(entry => [entry.label, entry.trackId]));
+
+    // 兩個框都向右移，且偵測順序相反
+    const next = tracker.update(frame(detection(2, 0.95, box(44)), detection(1, 0.95, box(14))));
+    for (const entry of next.rejected) {
+        assert.equal(entry.trackId, ids[entry.label], entry.label);
+    }
+});
+
+// ==================== 視窗投票與確認 ====================
+
+test('同一類別連續穩定 stableFrames 個影格才確認', () => {
+    const tracker = new DigitTracker();
+    const pending = feed(tracker, TRACKER_DEFAULTS.stableFrames - 1, detection(3, 0.95));
+    assert.equal(pending.text, '');
+    assert.equal(pending.rejected.length, 1);
+    assert.equal(pending.rejected[0].uncertain, true);
+
+    const confirmed = tracker.update(frame(detection(3, 0.95)));
+    assert.equal(confirmed.text, '3');
+    assert.equal(confirmed.rejected.length, 0);
+    assert.equal(confirmed.digits[0].uncertain, false);
+});
+
+test('單一影格的誤判被視窗平均蓋過', () => {
+    const tracker = new DigitTracker();
+    feed(tracker, 6, detection(3, 0.95));
+    const view = tracker.update(frame(detection(8, 0.99)));
+    assert.equal(view.text, '3');
+    assert.equal(view.digits[0].digit, 3);
+});
+
+test('已確認的類別維持到另一個類別也達到確認條件', () => {
+    const tracker = new DigitTracker();
+    assert.equal(feed(tracker, 6, detection(3, 0.95)).text, '3');
+
+    // 視窗內仍有 3 的機率，5 的平均尚未達門檻
+    assert.equal(feed(tracker, 4, detection(5, 0.95)).text, '3');
+    // 3 移出視窗後，5 仍需連續穩定 stableFrames 個影格
+    assert.equal(feed(tracker, TRACKER_DEFAULTS.window, detection(5, 0.95)).text, '5');
+});
+
+// ==================== 移除與鎖定 ====================
+
+test('連續 maxMissed 個影格沒偵測到仍保留，超過後移除', () => {
+    const tracker = new DigitTracker();
+    feed(tracker, 6, detection(3, 0.95));
+
+    assert.equal(feed(tracker, TRACKER_DEFAULTS.maxMissed).text, '3');
+    assert.equal(tracker.update(frame()).text, '');
+    assert.equal(tracker.tracks.length, 0);
+});
+
+test('未確認的目標沒偵測到時不列入待確認', () => {
+    const tracker = new DigitTracker();
+    tracker.update(frame(detection(3, 0.95)));
+    const view = tracker.update(frame());
+    assert.deepEqual(view.rejected, []);
+    assert.equal(tracker.tracks.length, 1);
+});
+
+test('整串結果不變 lockFrames 個影格後鎖定，改變時解除', () => {
+    const tracker = new DigitTracker();
+    const digits = () => [detection(1, 0.95, box(10)), detection(2, 0.95, box(40))];
+    feed(tracker, TRACKER_DEFAULTS.stableFrames, ...digits());
+
+    const almost = feed(tracker, TRACKER_DEFAULTS.lockFrames - 1, ...digits());
+    assert.equal(almost.text, '12');
+    assert.equal(almost.locked, false);
+    assert.equal(tracker.update(frame(...digits())).locked, true);
+
+    // 出現新的目標 (尚未確認) 時解除鎖定
+    const changed = tracker.update(frame(...digits(), detection(7, 0.95, box(100))));
+    assert.equal(changed.locked, false);
+    assert.equal(changed.stableFrames, 0);
+});
+
+test('多行依版面排列', () => {
+    const tracker = new DigitTracker();
+    const view = feed(tracker, 6, detection(4, 0.95, box(40, 100)), detection(1, 0.95, box(10, 10)), detection(2, 0.95, box(40, 10)));
+    assert.equal(view.text, '12\n4');
+    assert.deepEqual(view.digits.map(entry => [entry.line, entry.index]), [[0, 0], [0, 1], [1, 0]]);
+});